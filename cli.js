@@ -3,279 +3,965 @@ import { join } from 'path';
 import yargs from 'yargs';
 import Listr from 'listr';
 import open from 'open';
-import { appendFileSync } from 'fs';
+import { spawn } from 'child_process';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
 import enquirer from 'enquirer';
-import screenshot from './src/screenshot.js';
-import archivers, {
-  isArchiveOrgUrl,
-  isArchiveTodayUrl,
-} from './src/archive/archivers.js';
-import resolveStylesheet from './src/stylesheet.js';
-import addExifMetadata from './src/exif.js';
+import { archive } from './index.js';
+import { fingerprint } from './src/archhive.js';
+import { getArchivers, loadArchiverPlugin } from './src/archive/archivers.js';
+import {
+  findSnapshotsAtDate,
+  formatSnapshot,
+  listArchiveOrgSnapshots,
+  listArchiveTodaySnapshots,
+} from './src/archive/snapshots.js';
 import launchBrowser from './src/browser.js';
-import { VIEWPORT_WIDTH } from './src/util.js';
+import { readUrlList } from './src/batch.js';
+import { verifyManifest } from './src/manifest.js';
+import { diffCaptures, resolveCapture } from './src/diff.js';
+import { notifyChange, readWatchState, writeWatchState } from './src/watch.js';
+import {
+  addHistoryEntry,
+  findHistoryEntry,
+  findRecentHistoryEntry,
+  readHistory,
+  searchHistory,
+  splitSecretArgv,
+} from './src/history.js';
+import { mapConcurrent, parseDuration, VIEWPORT_WIDTH, wait } from './src/util.js';
 
-const log = console.log;
-// @ts-ignore
-const { argv: yargsArgv } = yargs(process.argv.slice(2)).options({
-  print: {
-    type: 'boolean',
-    describe: "Whether to use the page's print stylesheet",
-    default: false,
-  },
-  width: {
-    type: 'string',
-    describe:
-      'Screenshot viewport width (e.g. 1920) or one of: mini (492), mobile (576), tablet (768), notebook (1200), laptop (1400, default), desktop (1920)',
-  },
-  screenshot: {
-    type: 'string',
-    choice: ['fullpage', 'stitched', 'none'],
-    describe:
-      "Screenshot method to use.\nfullpage (default): Take a screenshot of the page in one go. Does not work with very tall pages. Unresponsive pages with a horizontal scrollbar will override the viewport's width for the screenshot.\nstitched: Stitch together screenshots of the page by scrolling down the height of the viewport. Certain sticky elements may cause issues, especially when scripting is enabled, which must be fixed manually with a stylesheet.\nnone: Do not take a screenshot.",
-    default: 'fullpage',
-  },
-  screenshotQuality: {
-    type: 'number',
-    default: 90,
-  },
-  aoUrl: {
-    type: 'string',
-    describe:
-      'Pre-defined archive.org URL, useful when selecting a historical snapshot. "auto" (default) attempts to archive the URL. You may be prompted if the link is invalid to select a historic snapshot. "none" skips archive.org archiving.',
-    default: 'auto',
-  },
-  atUrl: {
-    type: 'string',
-    describe:
-      'Pre-defined archive.today URL, useful when selecting a historical snapshot. "auto" (default) attempts to archive the URL. "none" skips archive.today archiving.',
-    default: 'auto',
-  },
-  stylesheet: {
-    type: 'string',
-    describe:
-      'File containing the stylesheet to be used for the screenshot process. Overrides --stylesheets-dir. @import rules are supported.',
-  },
-  stylesheetsDir: {
-    type: 'string',
-    describe:
-      'Directory containing stylesheets (files named origin.css, e.g. www.example.com.css) for the screenshot process. @import rules are supported',
-    default: join(process.cwd(), 'stylesheets'),
-  },
-  filters: {
-    type: 'string',
-    describe:
-      'File containing a list of Adblock filters to apply. Almost all filters (cosmetic and network) are supported. Defaults to <stylesheet-dir/filters.txt>',
-  },
-  shorturl: {
-    type: 'string',
-    describe:
-      '5-30 characters that will be used as v.gd shorturl of the archive.org link, or "none" to disable',
-  },
-  exifComment: {
-    type: 'string',
-    describe: 'Custom text to add at the end of the EXIF description',
-  },
-  exifKeywords: {
-    type: 'string',
-    describe: 'List of keywords to add to the EXIF data, separated by commas (no spaces)',
-  },
-  renew: {
-    type: 'string',
-    choices: ['auto', 'manual', 'no'],
-    describe:
-      '"no" to always use the latest existing snapshot when possible. "manual" to manually determine whether to rearchive the link. "auto" (default) automatically determines whether the link is outdated. "never" to never renew',
-    default: 'auto',
-  },
-  referrer: {
-    type: 'string',
-    describe:
-      'Referrer site to use when visiting the site when taking a screenshot. Useful for paywalls. Presets: g: https://google.com, ddg: https://duckduckgo.com',
-  },
-  outputDir: { type: 'string', default: process.cwd() },
-  noscript: {
-    type: 'boolean',
-    describe:
-      'If passed, JavaScript will be disabled when taking a screenshot. Useful especially for paywall websites and obnoxious popups.',
-    default: false,
-  },
-  imageLoadTimeout: {
-    type: 'number',
-    describe:
-      'Timeout in milliseconds for images to load. In noscript mode, this amount of time is always elapsed to let images load.',
-    default: 15000,
-  },
-  debug: {
-    type: 'string',
-    choices: ['all', 'screenshot'],
-    describe:
-      'screenshot: Debug the screenshotting process without saving files or archiving a URL.',
-  },
-  open: {
-    type: 'boolean',
-    describe:
-      'If the created screenshot should be opened using your preferred image viewer.',
-    default: true,
-  },
-  url: { type: 'string', describe: 'URL to archive' },
-});
+const parser = yargs(process.argv.slice(2))
+  .command(
+    'history <action> [query..]',
+    'Query the captures made in --output-dir. Actions: list, search <text>, show <id|url>, rerun <id|url>'
+  )
+  .command(
+    'snapshots <url>',
+    'List the archive.org and archive.today snapshots of a URL, or only the closest ones with --at-date'
+  )
+  .command(
+    'watch <file>',
+    'Check the URLs in a file (one per line) every --every, and archive them again when their content changed'
+  )
+  .command(
+    'verify <file>',
+    'Check the hashes, signature and timestamp of a capture, given its manifest or one of its files'
+  )
+  .command(
+    'diff <old> <new>',
+    'Compare two captures, given as screenshot files or history entries (<id|url>): saves an image highlighting the changed regions and a diff of the text'
+  )
+  .config(
+    'config',
+    'JSON file containing default values for any of the options below',
+    (configPath) => JSON.parse(readFileSync(configPath, 'utf8'))
+  )
+  .options({
+    print: {
+      type: 'boolean',
+      describe: "Whether to use the page's print stylesheet",
+      default: false,
+    },
+    ocr: {
+      type: 'boolean',
+      describe:
+        'Recognize the text of the screenshot with tesseract (must be installed) and add it to the EXIF description. With --format pdf, also saves "<title> (ocr).pdf", the screenshot with the text as a hidden layer.',
+      default: false,
+    },
+    ocrLanguage: {
+      type: 'string',
+      describe:
+        'Languages of the text for --ocr, e.g. eng+deu (see tesseract --list-langs)',
+      default: 'eng',
+    },
+    manifest: {
+      type: 'boolean',
+      describe:
+        'Save the SHA-256 hashes of every file, the archive links and the capture time in <title>.manifest.json. Disable with --no-manifest.',
+      default: true,
+    },
+    signKey: {
+      type: 'string',
+      describe: 'PEM private key (e.g. Ed25519 or RSA) to sign the manifest with',
+    },
+    tsaUrl: {
+      type: 'string',
+      describe:
+        'URL of an RFC 3161 time-stamping authority to timestamp the manifest with, e.g. https://freetsa.org/tsr',
+    },
+    publicKey: {
+      type: 'string',
+      describe:
+        'With the verify command, PEM public key or certificate that must have signed the manifest',
+    },
+    tsaCert: {
+      type: 'string',
+      describe:
+        'With the verify command, PEM certificate of the TSA that must have timestamped the manifest',
+    },
+    metadata: {
+      type: 'boolean',
+      describe:
+        "Save the page's article text, metadata (author, dates, OpenGraph, JSON-LD, canonical URL) and links in <title>.json and <title>.md. Disable with --no-metadata.",
+      default: true,
+    },
+    width: {
+      type: 'string',
+      describe:
+        'Screenshot viewport width (e.g. 1920) or one of: mini (492), mobile (576), tablet (768), notebook (1200), laptop (1400, default), desktop (1920). Separate several widths with commas (e.g. mobile,desktop), or use "all" for every preset, to take a screenshot of each.',
+    },
+    device: {
+      type: 'string',
+      describe:
+        'Device to emulate instead of --width, e.g. "iPhone X" or "iPad Pro landscape" (see puppeteer\'s device descriptors), or a device from --devices. Sets the viewport, device scale factor, touch support and user agent. Separate several devices with commas to take a screenshot of each.',
+    },
+    devices: {
+      type: 'string',
+      describe:
+        'JSON file of custom devices by name, e.g. { "Kiosk": { "width": 1080, "height": 1920, "deviceScaleFactor": 1, "isMobile": false, "hasTouch": true, "userAgent": "..." } }',
+    },
+    screenshot: {
+      type: 'string',
+      choice: ['fullpage', 'stitched', 'element', 'region', 'none'],
+      describe:
+        "Screenshot method to use.\nfullpage (default): Take a screenshot of the page in one go. Does not work with very tall pages. Unresponsive pages with a horizontal scrollbar will override the viewport's width for the screenshot.\nstitched: Stitch together screenshots of the page by scrolling down the height of the viewport. Sticky and fixed elements are only captured at the top of the page. Used for pages taller than the 'fullpage' limit. Very tall screenshots are split into pages, see --page-height.\nelement: Only capture the element matching --selector, with the header above it.\nregion: Only capture the region of the page in --clip, with the header above it.\nnone: Do not take a screenshot.",
+      default: 'fullpage',
+    },
+    pageHeight: {
+      type: 'number',
+      describe:
+        'Height in pixels above which stitched screenshots are split into numbered pages, e.g. "<title> (page 2).jpg". Screenshots taller than the maximum height of the format (65535px for jpg, 16383px for webp) are always split.',
+    },
+    selector: {
+      type: 'string',
+      describe:
+        'CSS selector of the element to capture with --screenshot element, e.g. article. The first matching element is used.',
+    },
+    clip: {
+      type: 'string',
+      describe:
+        'Region to capture with --screenshot region: x,y,width,height in CSS pixels, relative to the page without the header (e.g. 0,100,800,600)',
+    },
+    screenshotQuality: {
+      type: 'number',
+      default: 90,
+    },
+    format: {
+      type: 'string',
+      describe:
+        'Files to save, separated by commas. jpg (default), png (lossless), webp, pdf (with selectable text) or mhtml (the page and its resources in a single file). Every file includes the header.',
+      default: 'jpg',
+    },
+    aoUrl: {
+      type: 'string',
+      describe:
+        'Pre-defined archive.org URL, useful when selecting a historical snapshot. "auto" (default) attempts to archive the URL. You may be prompted if the link is invalid to select a historic snapshot. "none" skips archive.org archiving.',
+      default: 'auto',
+    },
+    atUrl: {
+      type: 'string',
+      describe:
+        'Pre-defined archive.today URL, useful when selecting a historical snapshot. "auto" (default) attempts to archive the URL. "none" skips archive.today archiving.',
+      default: 'auto',
+    },
+    atDate: {
+      type: 'string',
+      describe:
+        'Date (e.g. 2020-05-01) of the snapshot to screenshot. The archive.org and archive.today snapshots closest to it are used instead of archiving the URL.',
+    },
+    aoAccessKey: {
+      type: 'string',
+      describe:
+        'archive.org S3-style access key (see https://archive.org/account/s3.php). With --ao-secret-key, URLs are submitted using the Save Page Now API instead of the save form. Defaults to the ARCHIVE_ORG_ACCESS_KEY environment variable.',
+    },
+    aoSecretKey: {
+      type: 'string',
+      describe:
+        'archive.org S3-style secret key. Defaults to the ARCHIVE_ORG_SECRET_KEY environment variable, which is preferred: the option is not saved in the history, so reruns need it again.',
+    },
+    aoCaptureOutlinks: {
+      type: 'boolean',
+      describe: 'Also archive the pages linked from the URL (Save Page Now API only)',
+    },
+    aoCaptureScreenshot: {
+      type: 'boolean',
+      describe: "Save archive.org's own screenshot of the page (Save Page Now API only)",
+    },
+    aoIfNotArchivedWithin: {
+      type: 'string',
+      describe:
+        'Reuse the latest archive.org snapshot if it is more recent than this, e.g. 30d or "3d 5h" (Save Page Now API only)',
+    },
+    gaUrl: {
+      type: 'string',
+      describe:
+        'Pre-defined ghostarchive URL when ghostarchive is enabled with --archivers. "auto" (default) attempts to archive the URL. "none" skips ghostarchive archiving.',
+      default: 'auto',
+    },
+    permaUrl: {
+      type: 'string',
+      describe:
+        'Pre-defined perma.cc URL when perma.cc is enabled with --archivers. "auto" (default) attempts to archive the URL. "none" skips perma.cc archiving.',
+      default: 'auto',
+    },
+    permaApiKey: {
+      type: 'string',
+      describe:
+        'perma.cc API key (see https://perma.cc/settings/tools). Defaults to the PERMA_API_KEY environment variable, which is preferred: the option is not saved in the history, so reruns need it again.',
+    },
+    permaFolder: {
+      type: 'string',
+      describe:
+        'ID of the perma.cc folder to save links in. Defaults to your personal links.',
+    },
+    archivers: {
+      type: 'string',
+      describe:
+        'Archive services to use, separated by commas, or "all". Available: archive.org, archive.today, ghostarchive, perma.cc and those added by --plugins. Defaults to archive.org,archive.today and the archivers added by --plugins.',
+    },
+    plugins: {
+      type: 'string',
+      describe:
+        'Modules (paths or npm packages) exporting archivers to add, separated by commas. See the README for the archiver interface.',
+    },
+    stylesheet: {
+      type: 'string',
+      describe:
+        'File containing the stylesheet to be used for the screenshot process. Overrides --stylesheets-dir. @import rules are supported.',
+    },
+    stylesheetsDir: {
+      type: 'string',
+      describe:
+        'Directory containing stylesheets (files named origin.css, e.g. www.example.com.css) for the screenshot process. @import rules are supported',
+      default: join(process.cwd(), 'stylesheets'),
+    },
+    sitesDir: {
+      type: 'string',
+      describe:
+        'Directory containing site profiles (files named after the host, e.g. example.com.yml or *.example.com.yml) with a stylesheet, adblock filters, default options and actions to run before the screenshot. example.com.yml also applies to its subdomains.',
+      default: join(process.cwd(), 'sites'),
+    },
+    siteProfile: {
+      type: 'string',
+      describe:
+        'Site profile to use instead of looking it up in --sites-dir. Disable site profiles with --no-site-profile.',
+    },
+    consent: {
+      type: 'string',
+      choices: ['reject', 'accept', 'hide'],
+      describe:
+        'Dismiss cookie walls and consent banners before the screenshot: click the reject or accept button of the consent management platform (OneTrust, Quantcast, Didomi and other banners, by the label of their buttons), then hide the remaining banners. "hide" only hides them, which is all that can be done with --noscript.',
+    },
+    actions: {
+      type: 'string',
+      describe:
+        'JSON file of the steps to run before the screenshot, instead of the actions of the site profile, e.g. [{ "click": "#accept" }, { "type": "#search", "text": "..." }, { "waitForSelector": ".results" }]. Actions: click, type, waitForSelector, scroll, remove, evaluate, wait.',
+    },
+    cookies: {
+      type: 'string',
+      describe:
+        'Cookie jar to capture the page with, e.g. to be logged in: a cookies.txt file (Netscape format) or a JSON list of cookies exported from a browser. Cookies are never sent to the archive services.',
+    },
+    userDataDir: {
+      type: 'string',
+      describe:
+        'Browser profile directory to capture the page with, e.g. one logged in to the site. Archive services are submitted the URL from an incognito context.',
+    },
+    header: {
+      type: 'string',
+      describe:
+        'HTTP header sent to the site (its host without www and its subdomains) when capturing the page, e.g. "Authorization: Bearer <token>". Can be repeated. Not saved in the history.',
+    },
+    filters: {
+      type: 'string',
+      describe:
+        'File containing a list of Adblock filters to apply. Almost all filters (cosmetic and network) are supported. Defaults to <stylesheet-dir/filters.txt>',
+    },
+    shorturl: {
+      type: 'string',
+      describe:
+        '5-30 characters that will be used as v.gd shorturl of the archive.org link, or "none" to disable',
+    },
+    exifComment: {
+      type: 'string',
+      describe: 'Custom text to add at the end of the EXIF description',
+    },
+    exifKeywords: {
+      type: 'string',
+      describe:
+        'List of keywords to add to the EXIF data, separated by commas (no spaces)',
+    },
+    renew: {
+      type: 'string',
+      choices: ['auto', 'manual', 'no'],
+      describe:
+        '"no" to always use the latest existing snapshot when possible. "manual" to be prompted with the date of the existing snapshot to determine whether to rearchive the link. "auto" (default) rearchives the link if the existing snapshot is older than --max-age. Existing archive.org snapshots are only looked up with "no", "manual" or --max-age.',
+      default: 'auto',
+    },
+    maxAge: {
+      type: 'string',
+      describe:
+        'Duration (e.g. 12h, 30d, 1y) after which captures are considered outdated. URLs captured more recently according to the history of --output-dir are skipped, and existing snapshots more recent than this are reused instead of rearchiving. Defaults to 1y for archive.today snapshots.',
+    },
+    referrer: {
+      type: 'string',
+      describe:
+        'Referrer site to use when visiting the site when taking a screenshot. Useful for paywalls. Presets: g: https://google.com, ddg: https://duckduckgo.com',
+    },
+    outputDir: { type: 'string', default: process.cwd() },
+    noscript: {
+      type: 'boolean',
+      describe:
+        'If passed, JavaScript will be disabled when taking a screenshot. Useful especially for paywall websites and obnoxious popups.',
+      default: false,
+    },
+    imageLoadTimeout: {
+      type: 'number',
+      describe:
+        'Timeout in milliseconds for images to load. In noscript mode, this amount of time is always elapsed to let images load.',
+      default: 15000,
+    },
+    debug: {
+      type: 'string',
+      choices: ['all', 'screenshot'],
+      describe:
+        'screenshot: Debug the screenshotting process without saving files or archiving a URL.',
+    },
+    open: {
+      type: 'boolean',
+      describe:
+        'If the created screenshot should be opened using your preferred image viewer.',
+      default: true,
+    },
+    url: { type: 'string', describe: 'URL to archive' },
+    batch: {
+      type: 'string',
+      describe:
+        'File containing a list of URLs to archive, one per line, or "-" to read them from stdin. Empty lines and lines starting with # are ignored.',
+    },
+    concurrency: {
+      type: 'number',
+      describe: 'Number of URLs to archive at the same time when using --batch',
+      default: 1,
+    },
+    nonInteractive: {
+      type: 'boolean',
+      describe:
+        'Never prompt. Decisions are made using the --on-* policies, which default to: --on-archive-failure fail --on-captcha fail --on-existing-snapshot use',
+      default: false,
+    },
+    onArchiveFailure: {
+      type: 'string',
+      describe:
+        'What to do when an archive service fails: "retry:N" to retry up to N times, "skip" to continue without its link, "fail" to abort. Prompts if omitted, unless --non-interactive is passed.',
+    },
+    onCaptcha: {
+      type: 'string',
+      choices: ['use-existing', 'fail'],
+      describe:
+        'What to do when archive.today throws a CAPTCHA but an existing snapshot is available. Prompts if omitted, unless --non-interactive is passed.',
+    },
+    json: {
+      type: 'boolean',
+      describe:
+        'Print the results as JSON instead of text, or as newline-delimited JSON (one record per URL) when using --batch. Progress is written to stderr.',
+      default: false,
+    },
+    every: {
+      type: 'string',
+      describe: 'With the watch command, how often to check the URLs (e.g. 30m, 6h, 1d)',
+      default: '6h',
+    },
+    webhook: {
+      type: 'string',
+      describe: 'With the watch command, URL to POST change events to as JSON',
+    },
+    exec: {
+      type: 'string',
+      describe:
+        'With the watch command, shell command to run on change events. The event is written to its stdin as JSON, and ARCHHIVE_EVENT and ARCHHIVE_URL are set. Its output goes to stderr.',
+    },
+    threshold: {
+      type: 'number',
+      describe:
+        'With the diff command, exit with code 1 if the visual or text change is above this percentage',
+    },
+    onExistingSnapshot: {
+      type: 'string',
+      choices: ['use', 'renew'],
+      describe:
+        '"use" to fall back to an existing snapshot when a new one could not be created, "renew" to treat it as a failure. Prompts if omitted, unless --non-interactive is passed.',
+    },
+  });
 
 /**
  * @type {import('./src/types').ArchhiveOptions}
  */
 // @ts-ignore
-const opts = yargsArgv;
+const opts = parser.argv;
+// Options left to their default value, which site profiles can override
+// @ts-ignore
+const defaultedOptions = Object.keys(parser.parsed.defaulted);
+
+// Keep stdout clean for the results when printing JSON
+const log = opts.json ? console.error : console.log;
+
+/**
+ * Prompt currently being answered, which the next one waits for
+ * @type {Promise<unknown>}
+ */
+let pendingPrompt = Promise.resolve();
+
+/**
+ * Asks one question at a time, as URLs archived concurrently may ask at once. With --json,
+ * questions are written to stderr to keep stdout for the records.
+ * @type {import('./src/types').PromptCallback}
+ */
+function prompt(question) {
+  const ask = () =>
+    enquirer.prompt(opts.json ? { ...question, stdout: process.stderr } : question);
+  const answer = pendingPrompt.then(ask, ask);
+  pendingPrompt = answer.catch(() => {});
+  return answer;
+}
 
 async function main() {
+  for (const plugin of (opts.plugins || '').split(',').filter(Boolean)) {
+    await loadArchiverPlugin(plugin);
+  }
+
+  // @ts-ignore
+  if (opts._[0] === 'history') {
+    return history();
+  }
+  // @ts-ignore
+  if (opts._[0] === 'snapshots') {
+    return snapshots();
+  }
+  // @ts-ignore
+  if (opts._[0] === 'watch') {
+    return watch();
+  }
+  // @ts-ignore
+  if (opts._[0] === 'verify') {
+    return verify();
+  }
+  // @ts-ignore
+  if (opts._[0] === 'diff') {
+    return diff();
+  }
+  if (opts.batch) {
+    return batch();
+  }
+
   const originalArgv = { ...opts };
   if (!opts.url) {
     // @ts-ignore
     const extraArgs = opts._.join(' ');
     if (extraArgs) {
       opts.url = extraArgs;
+    } else if (opts.nonInteractive) {
+      throw new Error(
+        'No URL specified. Pass --url or --batch when using --non-interactive.'
+      );
     } else {
-      opts.url = /** @type {any} */ (await enquirer.prompt({
+      opts.url = /** @type {any} */ (await prompt({
         type: 'input',
         message: 'URL:',
         name: 'url',
       })).url;
-      if (!opts.width) {
-        opts.width = /** @type {any} */ (await enquirer.prompt({
+      if (!opts.width && !opts.device) {
+        opts.width = /** @type {any} */ (await prompt({
           type: 'select',
           message: 'Viewport:',
           name: 'width',
-          choices: Object.keys(VIEWPORT_WIDTH),
+          choices: [...Object.keys(VIEWPORT_WIDTH), 'all'],
         })).width;
       }
     }
   }
 
-  if (!opts.width) opts.width = 'laptop';
+  const recentEntry = await findRecentCapture(opts.url);
+  if (recentEntry) {
+    if (opts.json) printRecord({ status: 'skipped', ...recentEntry }, 2);
+    return;
+  }
+
+  let result;
+  try {
+    result = await archive(opts.url, {
+      ...getArchiveOptions(),
+      prompt,
+      log,
+      renderer: opts.json ? 'silent' : 'default',
+    });
+  } catch (e) {
+    if (opts.json) printRecord(getErrorRecord(opts.url, e), 2);
+    throw e;
+  }
 
-  if (opts.debug === 'screenshot') {
-    if (opts.aoUrl === 'auto') {
-      opts.aoUrl = 'archive.org/debug';
-      opts.shorturl = 'none';
+  if (opts.json) {
+    printRecord({ status: 'ok', ...result }, 2);
+  } else {
+    for (const file of result.files) {
+      log(`File: ${file.filename}`);
+    }
+    for (const filename of result.metadataFiles || []) {
+      log(`File: ${filename}`);
     }
-    if (opts.atUrl === 'auto') opts.atUrl = 'archive.today/debug';
+    if (result.manifest) log(`Manifest: ${result.manifest}`);
+    logArchiveUrls(result, getArchivers(opts.archivers));
   }
+  if (opts.debug !== 'screenshot') {
+    if (opts.open) {
+      await open(`file://${result.filename}`);
+    }
 
-  try {
-    const urlObject = new URL(opts.url);
-    // Ensure entities are encoded
-    opts.url = urlObject.toString();
-    const isAoUrl = isArchiveOrgUrl(urlObject);
-    const isAtUrl = isArchiveTodayUrl(urlObject);
-    // Automatically set the appropriate field if detected so we don't submit an already submitted URL
-    if (isAoUrl) {
-      opts.aoUrl = opts.url;
-    } else if (isAtUrl) {
-      opts.atUrl = opts.url;
-      // archive.today pages don't have any JS so it's faster to have scripting enabled so we can do proper image loading detection
-      opts.noscript = false;
+    const launchArgv = process.argv.slice(2);
+    // Add --width and the URL if they were entered at the prompt
+    if (!originalArgv.width && opts.width) launchArgv.push('--width', opts.width);
+    // @ts-ignore
+    if (!originalArgv.url && !originalArgv._.length) launchArgv.push(result.url);
+    await addHistoryEntry(opts.outputDir, result, launchArgv);
+  }
+}
+
+async function batch() {
+  const urls = await readUrlList(opts.batch);
+  if (!urls.length) {
+    throw new Error(`No URLs found in ${opts.batch}`);
+  }
+
+  // A single browser is shared by every URL in the batch
+  const { browser } = await new Listr([
+    { title: 'Start browser', task: launchBrowser },
+  ]).run(
+    // @ts-ignore Partial context
+    { log, opts }
+  );
+
+  // Concurrent Listr instances would overwrite each other's output
+  const renderer = opts.json ? 'silent' : opts.concurrency > 1 ? 'verbose' : 'default';
+  const results = await mapConcurrent(urls, opts.concurrency, async (url) => {
+    try {
+      const recentEntry = await findRecentCapture(url);
+      if (recentEntry) {
+        if (opts.json) printRecord({ status: 'skipped', ...recentEntry });
+        return { url, status: 'skipped', result: recentEntry.filename };
+      }
+
+      const result = await archive(url, {
+        ...getArchiveOptions(),
+        prompt,
+        log,
+        browser,
+        renderer,
+      });
+      if (opts.debug !== 'screenshot') {
+        await addHistoryEntry(opts.outputDir, result, [
+          ...getSingleUrlArgv(),
+          result.url,
+        ]);
+      }
+      if (opts.json) printRecord({ status: 'ok', ...result });
+      return { url, status: 'ok', result: result.filename };
+    } catch (e) {
+      if (opts.json) printRecord(getErrorRecord(url, e));
+      return { url, status: 'failed', result: e?.message || String(e) };
     }
-  } catch (e) {
-    throw new Error(`Invalid URL specified: ${opts.url}`);
+  });
+  await browser.close();
+
+  const failed = results.filter((r) => r.status === 'failed').length;
+  const skipped = results.filter((r) => r.status === 'skipped').length;
+  log(
+    `\nArchived ${results.length - failed - skipped}/${results.length} URLs${
+      skipped ? ` (${skipped} captured recently)` : ''
+    }`
+  );
+  if (!opts.json) console.table(results);
+  if (failed) {
+    process.exitCode = 1;
   }
+}
 
-  const { cssFilename, stylesheet } = await resolveStylesheet(opts);
-  if (opts.debug) {
+/**
+ * @param {Record<string, any>} record Archive result or history entry
+ * @param {import('./src/types').Archiver[]} archivers
+ */
+function logArchiveUrls(record, archivers) {
+  for (const archiver of archivers) {
+    const shortUrl = record[archiver.shortUrlKey];
     log(
-      stylesheet
-        ? `Using stylesheet: ${cssFilename}`
-        : `Could not find stylesheet: ${cssFilename}`
+      `${archiver.name}: ${record[archiver.urlKey]}${shortUrl ? ` (${shortUrl})` : ''}`
     );
   }
+}
 
-  /** @type {Listr<import('./src/types').TaskContext>}> */
-  const tasks = new Listr(
-    [
-      {
-        title: 'Start browser',
-        task: launchBrowser,
-      },
-      {
-        title: 'Archiving URL',
-        task(ctx, task) {
-          const archivingTasks = [];
-          for (const site in archivers) {
-            function retryableTask(...args) {
-              return archivers[site](...args)
-                .then((res) => {
-                  ctx.urls = { ...ctx.urls, ...res };
-                })
-                .catch(async (e) => {
-                  log(e);
-                  const retry = /** @type {any} */ (await enquirer.prompt({
-                    type: 'confirm',
-                    message: `${site} failed to archive ${opts.url}. Retry?`,
-                    name: 'retry',
-                    initial: true,
-                  })).retry;
-                  if (retry) {
-                    return retryableTask(...args);
-                  }
-                  throw e;
-                });
-            }
-            archivingTasks.push({
-              title: site,
-              task: retryableTask,
-            });
-          }
-
-          return new Listr(archivingTasks, { concurrent: true, exitOnError: true });
-        },
-      },
-      {
-        title: 'Screenshot',
-        task: screenshot,
-      },
+/**
+ * Finds a capture of the URL in the history that is more recent than --max-age.
+ * @param {string} url
+ */
+async function findRecentCapture(url) {
+  if (!opts.maxAge) return;
+  const maxAge = parseDuration(opts.maxAge);
+  if (Number.isNaN(maxAge)) {
+    throw new Error(`Invalid --max-age: ${opts.maxAge}`);
+  }
+
+  let normalizedUrl;
+  try {
+    normalizedUrl = new URL(url).toString();
+  } catch (e) {
+    // Invalid URLs are reported by archive()
+    return;
+  }
+  const entry = findRecentHistoryEntry(
+    await readHistory(opts.outputDir),
+    normalizedUrl,
+    maxAge
+  );
+  if (entry) {
+    log(
+      `${url} was captured on ${entry.timestamp} (${entry.id}: ${entry.filename}), skipping. Use a shorter --max-age to capture it again.`
+    );
+  }
+  return entry;
+}
+
+/**
+ * Writes a JSON record to stdout. Records are written on a single line unless indented.
+ * @param {object} record
+ * @param {number} [indent]
+ */
+function printRecord(record, indent) {
+  process.stdout.write(`${JSON.stringify(record, null, indent)}\n`);
+}
+
+/**
+ * @param {string} url
+ * @param {any} e
+ */
+function getErrorRecord(url, e) {
+  return {
+    url,
+    status: 'failed',
+    error: { name: e?.name || 'Error', message: e?.message || String(e) },
+  };
+}
+
+async function history() {
+  if (!['list', 'search', 'show', 'rerun'].includes(opts.action)) {
+    throw new Error(
+      `Unknown history action: ${opts.action} (expected list, search, show or rerun)`
+    );
+  }
+  const entries = await readHistory(opts.outputDir);
+  const query = (opts.query || []).join(' ');
+  if (['search', 'show', 'rerun'].includes(opts.action) && !query) {
+    throw new Error(`Missing argument: archhive history ${opts.action} <query>`);
+  }
+
+  if (opts.action === 'list' || opts.action === 'search') {
+    const matches = opts.action === 'search' ? searchHistory(entries, query) : entries;
+    for (const entry of matches) {
+      if (opts.json) {
+        printRecord(entry);
+      } else {
+        log(`${entry.id}  ${entry.timestamp}  ${entry.url}  ${entry.pageTitle || ''}`);
+      }
+    }
+    if (!matches.length) log('No captures found');
+    return;
+  }
+
+  const entry = findHistoryEntry(entries, query);
+  if (!entry) {
+    throw new Error(`No capture found for: ${query}`);
+  }
+  if (opts.action === 'show') {
+    if (opts.json) {
+      printRecord(entry, 2);
+    } else {
+      log(`ID: ${entry.id}`);
+      log(`Date: ${entry.timestamp}`);
+      log(`URL: ${entry.url}`);
+      if (entry.finalUrl && entry.finalUrl !== entry.url) {
+        log(`Final URL: ${entry.finalUrl}`);
+      }
+      log(`Title: ${entry.pageTitle}`);
+      log(`File: ${entry.filename}`);
+      log(`SHA-256: ${entry.sha256}`);
+      logArchiveUrls(entry, getArchivers('all'));
+      log(`Command: archhive ${entry.argv.join(' ')} (in ${entry.cwd})`);
+      if (entry.omittedOptions) {
+        log(`Not saved: ${entry.omittedOptions.join(', ')}`);
+      }
+    }
+  } else {
+    // Secret options are passed again to the rerun command
+    const { secretArgv } = splitSecretArgv(process.argv.slice(2));
+    if (entry.omittedOptions && !secretArgv.length) {
+      log(
+        `warn: ${entry.omittedOptions.join(
+          ', '
+        )} were not saved, pass them again to rerun with them`
+      );
+    }
+    log(`Rerunning: archhive ${entry.argv.join(' ')}`);
+    const child = spawn(
+      process.execPath,
+      [fileURLToPath(import.meta.url), ...entry.argv, ...secretArgv],
       {
-        title: 'EXIF Metadata',
-        skip() {
-          if (opts.debug === 'screenshot') {
-            return 'Debugging screenshot';
-          }
-        },
-        task: addExifMetadata,
-      },
-    ],
-    { exitOnError: true }
+        cwd: entry.cwd,
+        stdio: 'inherit',
+      }
+    );
+    process.exitCode = await new Promise((resolve) => child.on('close', resolve));
+  }
+}
+
+async function snapshots() {
+  let list;
+  if (opts.atDate) {
+    const { archiveOrg, archiveToday } = await findSnapshotsAtDate(
+      opts.url,
+      opts.atDate,
+      log
+    );
+    list = [archiveOrg, archiveToday].filter(Boolean);
+  } else {
+    const [archiveOrg, archiveToday] = await Promise.all([
+      listArchiveOrgSnapshots(opts.url),
+      listArchiveTodaySnapshots(opts.url).catch((e) => {
+        log(`Could not list archive.today snapshots: ${e.message}`);
+        return [];
+      }),
+    ]);
+    list = [...archiveOrg, ...archiveToday].sort(
+      (a, b) => a.date.getTime() - b.date.getTime()
+    );
+  }
+
+  for (const snapshot of list) {
+    if (opts.json) {
+      printRecord(snapshot);
+    } else {
+      log(`${formatSnapshot(snapshot)}  (${snapshot.archiver})`);
+    }
+  }
+  if (!list.length) log(`No snapshots found for ${opts.url}`);
+}
+
+async function watch() {
+  const every = parseDuration(opts.every);
+  if (Number.isNaN(every)) {
+    throw new Error(`Invalid --every: ${opts.every}`);
+  }
+  const urls = await readUrlList(opts.file);
+  if (!urls.length) {
+    throw new Error(`No URLs found in ${opts.file}`);
+  }
+
+  const { browser } = await new Listr([
+    { title: 'Start browser', task: launchBrowser },
+  ]).run(
+    // @ts-ignore Partial context
+    { log, opts }
   );
 
-  // @ts-ignore Partial context
-  const ctx = await tasks.run({
-    prompt: enquirer.prompt,
+  // Kept in memory, as URLs checked concurrently would overwrite each other's updates
+  const state = await readWatchState(opts.outputDir);
+  /** Last write of the state, which the next one waits for */
+  let stateWritten = Promise.resolve();
+  const saveState = () => {
+    const write = () => writeWatchState(opts.outputDir, state);
+    stateWritten = stateWritten.then(write, write);
+    return stateWritten;
+  };
+
+  // Runs until interrupted
+  for (;;) {
+    await mapConcurrent(urls, opts.concurrency, (url) =>
+      checkWatchedUrl(url, browser, state, saveState).catch((e) => {
+        log(`Could not check ${url}: ${e?.message || e}`);
+      })
+    );
+    log(`Next check at ${new Date(Date.now() + every).toISOString()}`);
+    await wait(every);
+  }
+}
+
+/**
+ * Archives a watched URL again if the text of its page changed since the last check, and
+ * notifies the hooks.
+ * @param {string} url
+ * @param {any} browser
+ * @param {Record<string, import('./src/types').WatchState>} state State of the watched URLs
+ * @param {() => Promise<void>} saveState Writes the state
+ */
+async function checkWatchedUrl(url, browser, state, saveState) {
+  const normalizedUrl = new URL(url).toString();
+  const options = {
+    ...getArchiveOptions(),
+    // Nobody is there to answer prompts
+    nonInteractive: true,
+    prompt,
     log,
-    opts,
-    stylesheet,
-    urls: { url: opts.url },
+    browser,
+  };
+  const { status, hash } = await fingerprint(normalizedUrl, options);
+  const previous = state[normalizedUrl];
+  /** @type {import('./src/types').WatchState} */
+  const current = { ...previous, status, checkedAt: new Date().toISOString() };
+
+  /** @type {import('./src/types').WatchEvent} */
+  let event;
+  if (status >= 400) {
+    if (!previous || previous.status < 400) {
+      log(`${url} is unavailable (HTTP ${status})`);
+      event = { event: 'unavailable', url: normalizedUrl, status };
+    }
+  } else if (previous?.hash === hash) {
+    log(`${url} has not changed`);
+  } else {
+    log(previous ? `${url} has changed, archiving it` : `Archiving ${url}`);
+    const result = await archive(normalizedUrl, {
+      ...options,
+      renderer: opts.json || opts.concurrency > 1 ? 'silent' : 'default',
+    });
+    const entry = await addHistoryEntry(opts.outputDir, result, [
+      ...getSingleUrlArgv(),
+      result.url,
+    ]);
+    Object.assign(current, { hash, changedAt: current.checkedAt, entryId: entry.id });
+    if (opts.json) printRecord({ status: 'ok', ...result });
+
+    // The first capture of a URL is the reference for later changes
+    if (previous) {
+      event = { event: 'changed', url: normalizedUrl, status, capture: entry };
+    }
+    if (previous?.entryId) {
+      try {
+        const entries = await readHistory(opts.outputDir);
+        event.diff = await diffCaptures(
+          await resolveCapture(entries, previous.entryId),
+          await resolveCapture(entries, entry.id),
+          { browser, outputDir: opts.outputDir, log }
+        );
+      } catch (e) {
+        log(`Could not compare the captures of ${url}: ${e.message}`);
+      }
+    }
+  }
+
+  state[normalizedUrl] = current;
+  await saveState();
+  if (event) {
+    event.timestamp = current.checkedAt;
+    await notifyChange(event, { webhook: opts.webhook, exec: opts.exec, log });
+  }
+}
+
+async function verify() {
+  const result = await verifyManifest(opts.file, {
+    publicKey: opts.publicKey,
+    tsaCert: opts.tsaCert,
   });
-  await ctx.browser.close();
+  if (opts.json) {
+    printRecord(result, 2);
+  } else {
+    log(`Manifest: ${result.manifest}`);
+    log(`URL: ${result.url}`);
+    log(`Captured: ${result.capturedAt} (${result.tool})`);
+    for (const [name, url] of Object.entries(result.archiveUrls)) {
+      log(`${name}: ${url}`);
+    }
+    for (const check of result.checks) {
+      const status = check.ok ? 'OK' : check.unverified ? 'UNVERIFIED' : 'FAIL';
+      log(`${status.padEnd(10)}  ${check.name}: ${check.detail}`);
+    }
+    if (result.ok) {
+      log('Verified');
+    } else if (result.checks.every((check) => check.ok || check.unverified)) {
+      log('Not verified: pass --public-key or --tsa-cert to authenticate the manifest');
+    } else {
+      log('Verification failed');
+    }
+  }
+  if (!result.ok) process.exitCode = 1;
+}
 
-  log(`File: ${ctx.filename}`);
-  log(
-    `archive.org: ${ctx.urls.archiveOrgUrl}${
-      ctx.urls.archiveOrgShortUrl ? ` (${ctx.urls.archiveOrgShortUrl})` : ''
-    }`
+async function diff() {
+  const entries = await readHistory(opts.outputDir);
+  const before = await resolveCapture(entries, opts.old);
+  const after = await resolveCapture(entries, opts.new);
+
+  const { browser } = await new Listr([
+    { title: 'Start browser', task: launchBrowser },
+  ]).run(
+    // @ts-ignore Partial context
+    { log, opts: { ...opts, debug: false } }
   );
-  log(`archive.today: ${ctx.urls.archiveTodayUrl}`);
-  if (opts.debug !== 'screenshot') {
-    if (opts.open) {
-      await open(`file://${ctx.filename}`);
+  let result;
+  try {
+    result = await diffCaptures(before, after, {
+      browser,
+      outputDir: opts.outputDir,
+      log,
+    });
+  } finally {
+    await browser.close();
+  }
+
+  if (opts.json) {
+    printRecord(result, 2);
+  } else {
+    log(`Visual change: ${result.visualChange.toFixed(2)}%`);
+    if (result.textChange !== undefined) {
+      log(`Text change: ${result.textChange.toFixed(2)}%`);
     }
+    log(`File: ${result.image}`);
+    if (result.textDiff) log(`File: ${result.textDiff}`);
+  }
+  const change = Math.max(result.visualChange, result.textChange || 0);
+  if (opts.threshold !== undefined && change > opts.threshold) {
+    process.exitCode = 1;
+  }
+}
 
-    const launchArgv = process.argv.slice(2);
-    // Add --width and --url if they are specified via the CLI
-    if (!originalArgv.width) launchArgv.push('--width', opts.width);
-    if (!originalArgv.url) launchArgv.push(`"${opts.url}"`);
-    appendFileSync(
-      join(opts.outputDir, '.archhive_history'),
-      `${launchArgv.join(' ')} # ${new Date()}\n`
-    );
+/**
+ * Options to pass to archive(), without those left to their default value so that the site
+ * profile's options take precedence over them
+ */
+function getArchiveOptions() {
+  return Object.fromEntries(
+    Object.entries(opts).filter(([key]) => !defaultedOptions.includes(key))
+  );
+}
+
+/**
+ * CLI arguments without the batch and watch-specific options, so that a history entry only
+ * reruns a single URL
+ */
+function getSingleUrlArgv() {
+  const BATCH_OPTIONS = ['--batch', '--concurrency', '--every', '--webhook', '--exec'];
+  const args = process.argv.slice(2);
+  // The watch command and its file
+  if (args[0] === 'watch') args.splice(0, 2);
+  const launchArgv = [];
+  for (let i = 0; i < args.length; i++) {
+    if (BATCH_OPTIONS.includes(args[i])) {
+      // Skip the option's value as well
+      i++;
+    } else if (!BATCH_OPTIONS.some((option) => args[i].startsWith(`${option}=`))) {
+      launchArgv.push(args[i]);
+    }
   }
+  return launchArgv;
 }
+
 main().catch((e) => {
   log(e);
   process.exit(1);
@@ -0,0 +1,20 @@
+export {
+  archive,
+  archiveOrg,
+  archiveToday,
+  screenshot,
+  DEFAULT_OPTIONS,
+} from './src/archhive.js';
+export {
+  ActionError,
+  ArchhiveError,
+  ArchiverError,
+  InvalidOptionError,
+  InvalidUrlError,
+} from './src/errors.js';
+export {
+  getArchivers,
+  isArchiveUrl,
+  loadArchiverPlugin,
+  registerArchiver,
+} from './src/archive/archivers.js';
@@ -0,0 +1,179 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { ActionError, InvalidOptionError } from './errors.js';
+import { parseDuration, wait, warn } from './util.js';
+
+/** Parameters allowed with each action, besides `optional` */
+const ACTIONS = {
+  click: [],
+  type: ['text'],
+  waitForSelector: ['timeout'],
+  scroll: [],
+  remove: [],
+  evaluate: [],
+  wait: [],
+};
+
+/**
+ * Reads the steps of --actions, a JSON array such as
+ * `[{ "click": "#accept" }, { "type": "#search", "text": "archhive" }]`.
+ * @param {string} filename
+ * @returns {import('./types').Action[]}
+ */
+export function readActions(filename) {
+  let actions;
+  try {
+    actions = JSON.parse(readFileSync(resolve(filename), 'utf8'));
+  } catch (e) {
+    throw new InvalidOptionError(
+      'actions',
+      `Could not read actions file: ${filename} (${e.message})`,
+      { cause: e }
+    );
+  }
+  validateActions(actions, 'actions', filename);
+  return actions;
+}
+
+/**
+ * Throws if a step is not a known action or has unknown parameters.
+ * @param {any} actions
+ * @param {string} option Option reported in the error
+ * @param {string} filename File containing the actions
+ */
+export function validateActions(actions, option, filename) {
+  if (!Array.isArray(actions)) {
+    throw new InvalidOptionError(
+      option,
+      `Invalid actions in ${filename}: expected a list`
+    );
+  }
+  actions.forEach((action, i) => {
+    const keys = action && typeof action === 'object' ? Object.keys(action) : [];
+    const types = keys.filter((key) => ACTIONS.hasOwnProperty(key));
+    const unknown = keys.filter(
+      (key) =>
+        !types.includes(key) && !ACTIONS[types[0]]?.includes(key) && key !== 'optional'
+    );
+    if (types.length !== 1 || unknown.length) {
+      throw new InvalidOptionError(
+        option,
+        `Invalid action ${i + 1} in ${filename}: ${JSON.stringify(
+          action
+        )} (expected one of ${Object.keys(ACTIONS).join(', ')}${
+          unknown.length ? `, unknown parameters: ${unknown.join(', ')}` : ''
+        })`
+      );
+    }
+    if (types[0] === 'type' && typeof action.text !== 'string') {
+      throw new InvalidOptionError(
+        option,
+        `Invalid action ${i + 1} in ${filename}: type requires a text`
+      );
+    }
+  });
+}
+
+/**
+ * Interacts with the page before it is captured, e.g. to accept cookies, get past a
+ * paywall, scroll a feed or expand comments. Each step is shown in the task output.
+ * - `click: <selector>` clicks the first matching element
+ * - `type: <selector>, text: <text>` types text in the first matching element
+ * - `waitForSelector: <selector>, timeout?: <milliseconds>` waits for an element to appear
+ * - `scroll: bottom | <pixels> | <selector>` scrolls to the end of the page, loading more
+ *   content on the way, by a number of pixels or to an element
+ * - `remove: <selector>` removes every matching element
+ * - `evaluate: <script>` runs JavaScript in the page, even with --noscript
+ * - `wait: <milliseconds | duration>` waits, e.g. 500 or 2s
+ *
+ * Steps with `optional: true` are skipped with a warning when they fail.
+ * @param {import('./types').TaskContext} ctx
+ * @param {any} page
+ * @param {import('./types').Action[]} actions
+ * @param {import('./types').Task} task
+ */
+export async function runActions(ctx, page, actions, task) {
+  for (const [i, action] of actions.entries()) {
+    const description = describeAction(action);
+    task.output = `Action ${i + 1}/${actions.length}: ${description}`;
+    if (ctx.opts.debug) ctx.log?.(task.output);
+    try {
+      await runAction(page, action);
+    } catch (e) {
+      const error = new ActionError(i + 1, description, e);
+      if (!action.optional) throw error;
+      warn(ctx, error.message);
+    }
+  }
+}
+
+/**
+ * @param {any} page
+ * @param {import('./types').Action} action
+ */
+async function runAction(page, action) {
+  if ('click' in action) {
+    await page.click(action.click);
+  } else if ('type' in action) {
+    await page.type(action.type, action.text);
+  } else if ('waitForSelector' in action) {
+    await page.waitForSelector(action.waitForSelector, {
+      visible: true,
+      timeout: action.timeout ?? 30000,
+    });
+  } else if ('scroll' in action) {
+    await scroll(page, action.scroll);
+  } else if ('remove' in action) {
+    const count = await page.$$eval(action.remove, (elements) => {
+      elements.forEach((element) => element.remove());
+      return elements.length;
+    });
+    if (!count) throw new Error(`No element matches ${action.remove}`);
+  } else if ('evaluate' in action) {
+    await page.evaluate(action.evaluate);
+  } else if ('wait' in action) {
+    const time =
+      typeof action.wait === 'number' ? action.wait : parseDuration(action.wait);
+    if (Number.isNaN(time)) throw new Error(`Invalid duration: ${action.wait}`);
+    await wait(time);
+  }
+}
+
+/**
+ * @param {import('./types').Action} action
+ * @returns {string} e.g. click "#accept"
+ */
+function describeAction(action) {
+  const type = Object.keys(action).find((key) => ACTIONS.hasOwnProperty(key));
+  const value = action[type];
+  if (type === 'evaluate') {
+    const script = String(value).replace(/\s+/g, ' ');
+    return `evaluate "${script.length > 40 ? `${script.slice(0, 40)}...` : script}"`;
+  }
+  return `${type} ${JSON.stringify(value)}`;
+}
+
+/**
+ * @param {any} page
+ * @param {'bottom' | number | string} target
+ */
+async function scroll(page, target) {
+  if (typeof target === 'number') {
+    await page.evaluate((y) => window.scrollBy(0, y), target);
+  } else if (target !== 'bottom') {
+    // Throws if no element matches
+    await page.$eval(target, (element) => element.scrollIntoView());
+  } else {
+    // Feeds load more content when reaching the end, until they are exhausted
+    for (let i = 0; i < 50; i++) {
+      const height = await page.evaluate(() => {
+        window.scrollTo(0, document.documentElement.scrollHeight);
+        return document.documentElement.scrollHeight;
+      });
+      await wait(1000);
+      if (height === (await page.evaluate(() => document.documentElement.scrollHeight))) {
+        break;
+      }
+    }
+  }
+}
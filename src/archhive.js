@@ -0,0 +1,441 @@
+import { stat } from 'fs/promises';
+import { join } from 'path';
+import Listr from 'listr';
+import { readActions } from './actions.js';
+import { parseHeaders, readCookies } from './auth.js';
+import { getArchivers, isArchiveTodayUrl } from './archive/archivers.js';
+import { aoArchive } from './archive/archiveorg.js';
+import { atArchive } from './archive/archivetoday.js';
+import { findSnapshotsAtDate } from './archive/snapshots.js';
+import launchBrowser from './browser.js';
+import { getDeviceProfiles } from './devices.js';
+import { validateConsent } from './consent.js';
+import { ArchiverError, InvalidOptionError, InvalidUrlError } from './errors.js';
+import addExifMetadata from './exif.js';
+import { getFormats } from './formats.js';
+import writeManifest, { readSigningKey } from './manifest.js';
+import recognizeText from './ocr.js';
+import { onArchiveFailure, validatePolicies } from './policy.js';
+import screenshotTask from './screenshot.js';
+import { findSiteProfile } from './sites.js';
+import resolveStylesheet from './stylesheet.js';
+import { parseClip, warn } from './util.js';
+import { fingerprintPage } from './watch.js';
+
+/**
+ * @type {import('./types').ArchhiveOptions}
+ */
+export const DEFAULT_OPTIONS = {
+  print: false,
+  metadata: true,
+  ocrLanguage: 'eng',
+  manifest: true,
+  width: 'laptop',
+  screenshot: 'fullpage',
+  screenshotQuality: 90,
+  aoUrl: 'auto',
+  atUrl: 'auto',
+  gaUrl: 'auto',
+  permaUrl: 'auto',
+  stylesheetsDir: join(process.cwd(), 'stylesheets'),
+  sitesDir: join(process.cwd(), 'sites'),
+  renew: 'auto',
+  outputDir: process.cwd(),
+  noscript: false,
+  imageLoadTimeout: 15000,
+  concurrency: 1,
+  url: '',
+};
+
+/**
+ * Archives a URL to every archive service, takes a screenshot with a header containing
+ * the archive links and adds EXIF metadata to it.
+ * @param {string} url
+ * @param {import('./types').ArchiveOptions} [options]
+ * @returns {Promise<import('./types').ArchiveResult>}
+ */
+export async function archive(url, options = {}) {
+  const { prompt, log, browser, renderer = 'silent', ...archhiveOptions } = options;
+  /** @type {string[]} */
+  const warnings = [];
+  let { opts, siteProfile } = resolveOptions(url, archhiveOptions, { log, warnings });
+  if (opts.atDate) {
+    // Screenshot the closest snapshot instead of the current page
+    const { archiveOrg, archiveToday } = await findSnapshotsAtDate(
+      opts.url,
+      opts.atDate,
+      log
+    );
+    log?.(`Using the snapshots closest to ${opts.atDate}: ${archiveOrg.url}`);
+    ({ opts, siteProfile } = resolveOptions(
+      archiveOrg.url,
+      {
+        ...archhiveOptions,
+        atUrl: archiveToday?.url || archhiveOptions.atUrl,
+        atDate: undefined,
+      },
+      { log, warnings }
+    ));
+  }
+  if (opts.debug && siteProfile) {
+    log?.(`Using site profile: ${siteProfile.filename}`);
+  }
+
+  const { cssFilename, stylesheet } = await resolveStylesheet(opts);
+  if (opts.debug) {
+    log?.(
+      stylesheet
+        ? `Using stylesheet: ${cssFilename}`
+        : `Could not find stylesheet: ${cssFilename}`
+    );
+  }
+
+  /** @type {Listr<import('./types').TaskContext>}> */
+  const tasks = new Listr(
+    [
+      {
+        title: 'Start browser',
+        enabled: (ctx) => !ctx.browser,
+        task: timed('Start browser', launchBrowser),
+      },
+      {
+        title: 'Archiving URL',
+        task(ctx, task) {
+          const archivingTasks = [];
+          for (const archiver of ctx.archivers) {
+            const site = archiver.name;
+            let failures = 0;
+            function retryableTask(ctx, archiverTask) {
+              return runArchiver(archiver, ctx, archiverTask)
+                .then((res) => {
+                  ctx.urls = { ...ctx.urls, ...res };
+                })
+                .catch(async (e) => {
+                  ctx.log?.(`${site}: ${e?.message || e}`);
+                  const action = await onArchiveFailure(ctx, site, ++failures);
+                  if (action === 'retry') {
+                    return retryableTask(ctx, archiverTask);
+                  }
+                  if (action === 'skip') {
+                    warn(ctx, `${site} failed to archive ${opts.url}, skipping`);
+                    return archiverTask.skip(`${site} failed, skipping`);
+                  }
+                  throw e instanceof ArchiverError
+                    ? e
+                    : new ArchiverError(site, opts.url, e);
+                });
+            }
+            archivingTasks.push({
+              title: site,
+              task: timed(site, retryableTask),
+            });
+          }
+
+          return new Listr(archivingTasks, { concurrent: true, exitOnError: true });
+        },
+      },
+      {
+        title: 'Screenshot',
+        task: timed('Screenshot', screenshotTask),
+      },
+      {
+        title: 'OCR',
+        enabled: () => !!opts.ocr,
+        skip() {
+          if (opts.debug === 'screenshot') {
+            return 'Debugging screenshot';
+          }
+        },
+        task: timed('OCR', recognizeText),
+      },
+      {
+        title: 'EXIF Metadata',
+        skip() {
+          if (opts.debug === 'screenshot') {
+            return 'Debugging screenshot';
+          }
+        },
+        task: timed('EXIF Metadata', addExifMetadata),
+      },
+      {
+        title: 'Manifest',
+        enabled: () => !!opts.manifest,
+        skip() {
+          if (opts.debug === 'screenshot') {
+            return 'Debugging screenshot';
+          }
+        },
+        task: timed('Manifest', writeManifest),
+      },
+    ],
+    // @ts-ignore renderer accepts the name of a built-in renderer
+    { exitOnError: true, renderer }
+  );
+
+  /** @type {Partial<import('./types').TaskContext>} */
+  const ctx = {
+    prompt,
+    log,
+    opts,
+    browser,
+    stylesheet,
+    siteProfile,
+    archivers: getArchivers(opts.archivers),
+    urls: { url: opts.url },
+    timings: {},
+    warnings,
+  };
+  try {
+    // @ts-ignore Partial context
+    await tasks.run(ctx);
+  } finally {
+    // Only close the browser if it was launched for this URL
+    if (!browser) await ctx.browser?.close();
+  }
+
+  let size;
+  try {
+    size = (await stat(ctx.filename)).size;
+  } catch (e) {
+    // No screenshot was saved
+  }
+
+  return {
+    ...ctx.urls,
+    finalUrl: ctx.finalUrl,
+    redirectChain: ctx.redirectChain,
+    pageTitle: ctx.pageTitle,
+    filename: ctx.filename,
+    files: ctx.files,
+    metadataFiles: ctx.metadataFiles,
+    manifest: ctx.manifestFilename,
+    width: ctx.dimensions?.width,
+    height: ctx.dimensions?.height,
+    size,
+    loggedIn: ctx.loggedIn,
+    timings: ctx.timings,
+    warnings: ctx.warnings,
+  };
+}
+
+/**
+ * Submits a URL to archive.org and creates a short URL for the snapshot.
+ * @param {string} url
+ * @param {import('./types').ArchiveOptions} [options]
+ * @returns {Promise<{ archiveOrgUrl?: string, archiveOrgShortUrl?: string }>}
+ */
+export function archiveOrg(url, options = {}) {
+  return runTask(withoutProfile(aoArchive), url, options);
+}
+
+/**
+ * Submits a URL to archive.today.
+ * @param {string} url
+ * @param {import('./types').ArchiveOptions} [options]
+ * @returns {Promise<{ archiveTodayUrl?: string }>}
+ */
+export function archiveToday(url, options = {}) {
+  return runTask(withoutProfile(atArchive), url, options);
+}
+
+/**
+ * Takes a screenshot of a URL. Archive links to include in the header can be passed
+ * using `options.urls`.
+ * @param {string} url
+ * @param {import('./types').ArchiveOptions & { urls?: Record<string, string> }} [options]
+ * @returns {Promise<{ filename: string, pageTitle: string }>}
+ */
+export function screenshot(url, options = {}) {
+  const { urls, ...taskOptions } = options;
+  return runTask(
+    async (ctx, task) => {
+      ctx.urls = { ...urls, url: ctx.opts.url };
+      const { stylesheet } = await resolveStylesheet(ctx.opts);
+      ctx.stylesheet = stylesheet;
+      await screenshotTask(ctx, task);
+      return { filename: ctx.filename, pageTitle: ctx.pageTitle };
+    },
+    url,
+    taskOptions
+  );
+}
+
+/**
+ * Loads a URL like for its capture and hashes the text of its article, to find out whether it
+ * changed since it was last captured.
+ * @param {string} url
+ * @param {import('./types').ArchiveOptions} [options]
+ * @returns {Promise<{ status: number, hash: string }>}
+ */
+export function fingerprint(url, options = {}) {
+  return runTask(fingerprintPage, url, options);
+}
+
+/**
+ * Runs a single pipeline task outside of Listr.
+ * @template T
+ * @param {(ctx: import('./types').TaskContext, task: import('./types').Task) => Promise<T>} fn
+ * @param {string} url
+ * @param {import('./types').ArchiveOptions} options
+ * @returns {Promise<T>}
+ */
+async function runTask(fn, url, options) {
+  const { prompt, log, browser, renderer, ...archhiveOptions } = options;
+  const { opts, siteProfile } = resolveOptions(url, archhiveOptions, { log });
+  /** @type {any} */
+  const ctx = {
+    prompt,
+    log,
+    opts,
+    browser,
+    siteProfile,
+    archivers: getArchivers(opts.archivers),
+  };
+  /** @type {any} */
+  const task = { output: '', title: '', skip() {} };
+  if (!ctx.browser) await launchBrowser(ctx, task);
+  try {
+    return await fn(ctx, task);
+  } finally {
+    if (!browser) await ctx.browser.close();
+  }
+}
+
+/**
+ * Runs an archiver, unless its result is already known.
+ * @param {import('./types').Archiver} archiver
+ * @param {import('./types').TaskContext} ctx
+ * @param {import('./types').Task} task
+ * @returns {Promise<Record<string, string>>}
+ */
+async function runArchiver(archiver, ctx, task) {
+  // Archivers with a pre-defined URL option handle these cases themselves
+  if (!archiver.urlOption) {
+    if (ctx.opts.debug === 'screenshot') {
+      return { [archiver.urlKey]: `${archiver.name}/debug` };
+    }
+    // Don't submit an already submitted URL
+    if (archiver.isArchiveUrl(new URL(ctx.opts.url))) {
+      return { [archiver.urlKey]: ctx.opts.url };
+    }
+  }
+  return withoutProfile((ctx, task) => archiver.archive(ctx, task))(ctx, task);
+}
+
+/**
+ * Wraps an archiving task so that its pages are opened in an incognito context rather than
+ * in the browser profile of --user-data-dir, whose cookies must not reach archive services.
+ * @template T
+ * @param {(ctx: import('./types').TaskContext, task: import('./types').Task) => Promise<T>} fn
+ * @returns {(ctx: import('./types').TaskContext, task: import('./types').Task) => Promise<T>}
+ */
+function withoutProfile(fn) {
+  return async (ctx, task) => {
+    if (!ctx.opts.userDataDir) return fn(ctx, task);
+    const context = await ctx.browser.createIncognitoBrowserContext();
+    try {
+      return await fn({ ...ctx, browser: context }, task);
+    } finally {
+      if (!ctx.opts.debug) await context.close();
+    }
+  };
+}
+
+/**
+ * Wraps a task to record its duration in milliseconds in `ctx.timings`.
+ * @template T
+ * @param {string} title
+ * @param {(ctx: import('./types').TaskContext, task: import('./types').Task) => Promise<T>} fn
+ * @returns {(ctx: import('./types').TaskContext, task: import('./types').Task) => Promise<T>}
+ */
+function timed(title, fn) {
+  return async (ctx, task) => {
+    const start = Date.now();
+    try {
+      return await fn(ctx, task);
+    } finally {
+      ctx.timings[title] = Date.now() - start;
+    }
+  };
+}
+
+/**
+ * Applies the site profile of the URL. Its options are defaults, overridden by the options
+ * passed to `archive()`.
+ * @param {string} url
+ * @param {Partial<import('./types').ArchhiveOptions>} options
+ * @param {Partial<import('./types').TaskContext>} ctx Receives the warnings
+ */
+function resolveOptions(url, options, ctx) {
+  const siteProfile = findSiteProfile(
+    url,
+    { sitesDir: DEFAULT_OPTIONS.sitesDir, ...options },
+    ctx
+  );
+  const opts = normalizeOptions(url, {
+    stylesheet: siteProfile?.stylesheet,
+    ...siteProfile?.options,
+    ...options,
+  });
+  return { opts, siteProfile };
+}
+
+/**
+ * @param {string} url
+ * @param {Partial<import('./types').ArchhiveOptions>} options
+ * @returns {import('./types').ArchhiveOptions}
+ */
+function normalizeOptions(url, options) {
+  const opts = { ...DEFAULT_OPTIONS, ...options, url };
+  validatePolicies(opts);
+  getFormats(opts.format);
+  getDeviceProfiles(opts);
+  if (opts.screenshot === 'element' && !opts.selector) {
+    throw new InvalidOptionError('selector', '--screenshot element requires --selector');
+  }
+  if (opts.screenshot === 'region') parseClip(opts.clip);
+  validateConsent(opts.consent);
+  // Fail before archiving rather than after
+  if (opts.actions) readActions(opts.actions);
+  if (opts.signKey) readSigningKey(opts.signKey);
+  if (opts.cookies) readCookies(opts.cookies);
+  parseHeaders(opts.header);
+  if (opts.tsaUrl) {
+    try {
+      new URL(opts.tsaUrl);
+    } catch (e) {
+      throw new InvalidOptionError('tsaUrl', `Invalid TSA URL: ${opts.tsaUrl}`, {
+        cause: e,
+      });
+    }
+  }
+
+  if (opts.debug === 'screenshot') {
+    if (opts.aoUrl === 'auto') opts.shorturl = 'none';
+    for (const { name, urlOption } of getArchivers('all')) {
+      if (urlOption && opts[urlOption] === 'auto') opts[urlOption] = `${name}/debug`;
+    }
+  }
+
+  let urlObject;
+  try {
+    urlObject = new URL(opts.url);
+  } catch (e) {
+    throw new InvalidUrlError(opts.url);
+  }
+  // Ensure entities are encoded
+  opts.url = urlObject.toString();
+  // Automatically set the appropriate field if detected so we don't submit an already submitted URL
+  const archiver = getArchivers(opts.archivers).find(
+    (archiver) => archiver.urlOption && archiver.isArchiveUrl(urlObject)
+  );
+  if (archiver) {
+    opts[archiver.urlOption] = opts.url;
+  }
+  if (isArchiveTodayUrl(urlObject)) {
+    // archive.today pages don't have any JS so it's faster to have scripting enabled so we can do proper image loading detection
+    opts.noscript = false;
+  }
+
+  return opts;
+}
@@ -1,7 +1,18 @@
 import retry from 'async-retry';
+import fetch from 'node-fetch';
 import { blockResources } from '../browser.js';
+import { ArchiverError, InvalidOptionError } from '../errors.js';
+import { renewSnapshot } from '../policy.js';
 import { createShortURL } from '../shorturl.js';
-import { wait } from '../util.js';
+import {
+  listArchiveOrgSnapshots,
+  parseWaybackTimestamp,
+  selectSnapshot,
+} from './snapshots.js';
+import { wait, warn } from '../util.js';
+
+const SAVE_URL = 'https://web.archive.org/save';
+const API_ERROR = 'archive.org Save Page Now API error';
 /**
  *
  * @param {import('../types').TaskContext} ctx
@@ -12,60 +23,32 @@ export async function aoArchive(ctx, task) {
   let archiveOrgShortUrl;
 
   if (ctx.opts.aoUrl === 'auto') {
-    task.output = 'Submitting URL to archive.org';
-    const page = await ctx.browser.newPage();
-    await blockResources(page, ['image']);
-    let savePageLoaded = false;
-    while (!savePageLoaded) {
-      const saveResponse = await page.goto(`https://web.archive.org/save`, {
-        waitUntil: 'load',
+    // Only look for existing snapshots if asked to, archive.org is always submitted to by default
+    if (ctx.opts.maxAge || ctx.opts.renew !== 'auto') {
+      task.output = 'Looking for an existing archive.org snapshot';
+      const snapshot = await findLatestSnapshot(ctx.opts.url).catch((e) => {
+        if (ctx.opts.debug) ctx.log?.(e);
       });
-      if (saveResponse.status() !== 200) {
-        ctx.log?.(
-          `Could not load https://web.archive.org/save: ${saveResponse.statusText()}. Retrying in 1s...`
-        );
-        await wait(1000);
-      } else {
-        savePageLoaded = true;
+      if (
+        snapshot &&
+        !(await renewSnapshot(ctx, 'archive.org', snapshot.url, snapshot.date))
+      ) {
+        archiveOrgUrl = snapshot.url;
       }
     }
-    await page.evaluate((url) => {
-      /** @type {HTMLInputElement} */
-      (document.querySelector('input[name="url"]')).value = url;
-      // Don't save error pages
-      /** @type {HTMLInputElement} */
-      (document.querySelector('#capture_all')).checked = false;
-    }, ctx.opts.url);
-    await Promise.all([
-      page.click('form[action="/save"] input[type="submit"]'),
-      // Wait a bit after navigating so the script has a chance to make the save request
-      page.waitForNavigation({ waitUntil: 'load' }),
-    ]);
-
-    task.output = 'Waiting for archive.org to crawl...';
-    archiveOrgUrl = await retry(
-      async () => {
-        await page.waitForSelector('#spn-result a', { timeout: 50000 });
-        const aoUrl = await page.evaluate(() => {
-          /** @type {HTMLAnchorElement} */
-          const result = document.querySelector('#spn-result a');
-          return result.href;
-        });
-        if (aoUrl === 'https://web.archive.org/save') {
-          throw new Error();
-        }
-        return aoUrl;
-      },
-      {
-        retries: 6,
-        minTimeout: 1500,
-        maxTimeout: 1500,
-        onRetry: () => page.reload({ waitUntil: 'load' }),
-      }
-    );
-    await page.close();
+    const apiKeys = getApiKeys(ctx.opts);
+    if (!archiveOrgUrl && apiKeys) {
+      archiveOrgUrl = await submitUrlWithApi(ctx, task, apiKeys);
+    }
+    if (!archiveOrgUrl) {
+      archiveOrgUrl = await submitUrlWithForm(ctx, task);
+    }
   } else if (ctx.opts.aoUrl !== 'none') {
-    archiveOrgUrl = ctx.opts.aoUrl;
+    archiveOrgUrl =
+      // Debug placeholders are not links
+      ctx.opts.debug === 'screenshot' || isSnapshotUrl(ctx.opts.aoUrl)
+        ? ctx.opts.aoUrl
+        : await pickSnapshot(ctx, task);
   }
 
   if (archiveOrgUrl && ctx.opts.shorturl !== 'none') {
@@ -75,3 +58,226 @@ export async function aoArchive(ctx, task) {
 
   return { archiveOrgUrl, archiveOrgShortUrl };
 }
+
+/**
+ * Archive.org S3-style API keys (https://archive.org/account/s3.php), if configured
+ * @param {import('../types').ArchhiveOptions} opts
+ */
+function getApiKeys(opts) {
+  const accessKey = opts.aoAccessKey || process.env.ARCHIVE_ORG_ACCESS_KEY;
+  const secretKey = opts.aoSecretKey || process.env.ARCHIVE_ORG_SECRET_KEY;
+  if (accessKey && secretKey) return { accessKey, secretKey };
+}
+
+/**
+ * Archives the URL using the Save Page Now 2 API.
+ * Jobs are submitted and then polled by ID until they succeed or fail. Only when the API
+ * can't be reached or rejects the keys is the save form used instead: jobs that failed or
+ * did not finish, and captures the API refused (e.g. over the daily limit), are errors.
+ * @param {import('../types').TaskContext} ctx
+ * @param {import('../types').Task} task
+ * @param {{ accessKey: string, secretKey: string }} apiKeys
+ * @returns {Promise<string | undefined>} archive.org URL of the new snapshot, or undefined
+ * if the API is unavailable
+ */
+async function submitUrlWithApi(ctx, task, { accessKey, secretKey }) {
+  const headers = {
+    Accept: 'application/json',
+    Authorization: `LOW ${accessKey}:${secretKey}`,
+  };
+  const params = new URLSearchParams({ url: ctx.opts.url });
+  if (ctx.opts.aoCaptureOutlinks) params.set('capture_outlinks', '1');
+  if (ctx.opts.aoCaptureScreenshot) params.set('capture_screenshot', '1');
+  if (ctx.opts.aoIfNotArchivedWithin) {
+    params.set('if_not_archived_within', ctx.opts.aoIfNotArchivedWithin);
+  }
+
+  task.output = 'Submitting URL to the archive.org Save Page Now API';
+  let response;
+  let job;
+  try {
+    response = await fetch(SAVE_URL, { method: 'POST', headers, body: params });
+    job = await response.json().catch(() => ({}));
+  } catch (e) {
+    warn(ctx, `${API_ERROR}: ${e.message}. Falling back to the archive.org save form.`);
+    return undefined;
+  }
+  // Refused captures are answered with an error status rather than a job
+  if (response.ok && job.status === 'error') {
+    throw new ArchiverError(
+      'archive.org',
+      ctx.opts.url,
+      new Error(`${API_ERROR}: ${job.message} (${job.status_ext})`)
+    );
+  }
+  if (!response.ok || !job.job_id) {
+    warn(
+      ctx,
+      `${API_ERROR}: ${
+        job.message || response.statusText
+      }. Falling back to the archive.org save form.`
+    );
+    return undefined;
+  }
+
+  task.output = `Waiting for archive.org to crawl... (job ${job.job_id})`;
+  let status;
+  try {
+    status = await retry(
+      async (bail) => {
+        const statusResponse = await fetch(`${SAVE_URL}/status/${job.job_id}`, {
+          headers,
+        });
+        if (!statusResponse.ok) {
+          throw new Error(
+            `Could not get archive.org job status: ${statusResponse.statusText}`
+          );
+        }
+        const status = await statusResponse.json();
+        if (status.status === 'error') {
+          return bail(
+            new Error(
+              `Save Page Now job ${job.job_id} failed: ${status.message} (${status.status_ext})`
+            )
+          );
+        }
+        if (status.status !== 'success') {
+          throw new Error(`Save Page Now job ${job.job_id} is ${status.status}`);
+        }
+        return status;
+      },
+      // Save Page Now recommends polling every few seconds, captures can take minutes
+      { retries: 60, minTimeout: 3000, maxTimeout: 3000 }
+    );
+  } catch (e) {
+    // The job was accepted, submitting the URL again would archive it twice
+    throw new ArchiverError('archive.org', ctx.opts.url, e);
+  }
+  return `https://web.archive.org/web/${status.timestamp}/${status.original_url}`;
+}
+
+/**
+ * Archives the URL by filling in the Save Page Now form. Used without API keys.
+ * @param {import('../types').TaskContext} ctx
+ * @param {import('../types').Task} task
+ * @returns {Promise<string>} archive.org URL of the new snapshot
+ */
+async function submitUrlWithForm(ctx, task) {
+  task.output = 'Submitting URL to archive.org';
+  const page = await ctx.browser.newPage();
+  await blockResources(page, ['image']);
+  let savePageLoaded = false;
+  while (!savePageLoaded) {
+    const saveResponse = await page.goto(SAVE_URL, {
+      waitUntil: 'load',
+    });
+    if (saveResponse.status() !== 200) {
+      ctx.log?.(
+        `Could not load https://web.archive.org/save: ${saveResponse.statusText()}. Retrying in 1s...`
+      );
+      await wait(1000);
+    } else {
+      savePageLoaded = true;
+    }
+  }
+  await page.evaluate((url) => {
+    /** @type {HTMLInputElement} */
+    (document.querySelector('input[name="url"]')).value = url;
+    // Don't save error pages
+    /** @type {HTMLInputElement} */
+    (document.querySelector('#capture_all')).checked = false;
+  }, ctx.opts.url);
+  await Promise.all([
+    page.click('form[action="/save"] input[type="submit"]'),
+    // Wait a bit after navigating so the script has a chance to make the save request
+    page.waitForNavigation({ waitUntil: 'load' }),
+  ]);
+
+  task.output = 'Waiting for archive.org to crawl...';
+  const archiveOrgUrl = await retry(
+    async () => {
+      await page.waitForSelector('#spn-result a', { timeout: 50000 });
+      const aoUrl = await page.evaluate(() => {
+        /** @type {HTMLAnchorElement} */
+        const result = document.querySelector('#spn-result a');
+        return result.href;
+      });
+      if (aoUrl === 'https://web.archive.org/save') {
+        throw new Error();
+      }
+      return aoUrl;
+    },
+    {
+      retries: 6,
+      minTimeout: 1500,
+      maxTimeout: 1500,
+      onRetry: () => page.reload({ waitUntil: 'load' }),
+    }
+  );
+  await page.close();
+  return archiveOrgUrl;
+}
+
+/**
+ * Finds the latest successful snapshot of a URL using the Wayback Availability API.
+ * @param {string} url
+ * @returns {Promise<{ url: string, date: Date } | undefined>}
+ */
+async function findLatestSnapshot(url) {
+  const response = await fetch(
+    `https://archive.org/wayback/available?url=${encodeURIComponent(url)}`
+  );
+  if (!response.ok) {
+    throw new Error(`Could not check archive.org availability: ${response.statusText}`);
+  }
+  const closest = (await response.json()).archived_snapshots?.closest;
+  if (!closest?.available || !String(closest.status).startsWith('2')) return;
+
+  return {
+    url: closest.url.replace(/^http:/, 'https:'),
+    date: parseWaybackTimestamp(closest.timestamp),
+  };
+}
+
+/**
+ * Whether a URL links to a snapshot, e.g. https://web.archive.org/web/20200501000000/https://example.com
+ * @param {string} url
+ */
+function isSnapshotUrl(url) {
+  try {
+    const urlObject = new URL(url);
+    return (
+      urlObject.hostname === 'web.archive.org' && /^\/web\/\d+/.test(urlObject.pathname)
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Lets the user pick one of the existing snapshots when --ao-url is not a valid snapshot link.
+ * @param {import('../types').TaskContext} ctx
+ * @param {import('../types').Task} task
+ */
+async function pickSnapshot(ctx, task) {
+  if (!ctx.prompt || ctx.opts.nonInteractive) {
+    throw new InvalidOptionError(
+      'aoUrl',
+      `${ctx.opts.aoUrl} is not an archive.org snapshot link`
+    );
+  }
+  task.output = 'Listing archive.org snapshots';
+  const snapshots = await listArchiveOrgSnapshots(ctx.opts.url);
+  if (!snapshots.length) {
+    throw new InvalidOptionError(
+      'aoUrl',
+      `${ctx.opts.aoUrl} is not an archive.org snapshot link, and ${ctx.opts.url} has no snapshots`
+    );
+  }
+  const snapshot = await selectSnapshot(
+    ctx,
+    snapshots,
+    `${ctx.opts.aoUrl} is not an archive.org snapshot link. Select a snapshot of ${ctx.opts.url}:`
+  );
+  return snapshot.url;
+}
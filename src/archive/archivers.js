@@ -1,10 +1,106 @@
+import { createRequire } from 'module';
+import { isAbsolute, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { InvalidOptionError } from '../errors.js';
 import { aoArchive } from './archiveorg.js';
 import { atArchive } from './archivetoday.js';
+import { gaArchive, isGhostarchiveUrl } from './ghostarchive.js';
+import { isPermaCcUrl, permaArchive } from './permacc.js';
 
-export default {
-  'archive.org': aoArchive,
-  'archive.today': atArchive,
-};
+/** Grid areas used by the header for other items */
+const RESERVED_IDS = ['qr', 'url'];
+
+/** @type {Map<string, import('../types').Archiver>} */
+const archivers = new Map();
+
+/**
+ * Adds an archive service. Registered archivers are enabled by default, unless
+ * `enabledByDefault` is false.
+ * @param {import('../types').Archiver} archiver
+ */
+export function registerArchiver(archiver) {
+  for (const property of ['name', 'label', 'id', 'urlKey']) {
+    if (typeof archiver?.[property] !== 'string') {
+      throw new TypeError(
+        `Archiver ${archiver?.name} is missing the ${property} property`
+      );
+    }
+  }
+  for (const method of ['isArchiveUrl', 'archive']) {
+    if (typeof archiver[method] !== 'function') {
+      throw new TypeError(`Archiver ${archiver.name} is missing the ${method}() method`);
+    }
+  }
+  // The ID is used as a CSS grid area name
+  if (!/^[a-z][a-z0-9-]*$/.test(archiver.id) || RESERVED_IDS.includes(archiver.id)) {
+    throw new TypeError(`Archiver ${archiver.name} has an invalid id: ${archiver.id}`);
+  }
+
+  archivers.set(archiver.name, archiver);
+}
+
+/**
+ * Resolves the archivers to use, in order.
+ * @param {string | (string | import('../types').Archiver)[]} [names] Names of registered archivers
+ * or archiver objects, separated by commas if a string. "all" selects every registered archiver.
+ * Defaults to the archivers enabled by default.
+ * @returns {import('../types').Archiver[]}
+ */
+export function getArchivers(names) {
+  if (!names) {
+    return [...archivers.values()].filter(
+      (archiver) => archiver.enabledByDefault !== false
+    );
+  }
+  if (names === 'all') return [...archivers.values()];
+
+  const list = typeof names === 'string' ? names.split(',').filter(Boolean) : names;
+  return list.map((name) => {
+    if (typeof name !== 'string') return name;
+    const archiver = archivers.get(name.trim());
+    if (!archiver) {
+      throw new InvalidOptionError(
+        'archivers',
+        `Unknown archiver: ${name} (available: ${[...archivers.keys()].join(', ')})`
+      );
+    }
+    return archiver;
+  });
+}
+
+/**
+ * Imports and registers the archivers exported by a module, either as the default export or
+ * as an `archivers` array.
+ * @param {string} specifier Path relative to the working directory, or npm package name
+ * @returns {Promise<import('../types').Archiver[]>}
+ */
+export async function loadArchiverPlugin(specifier) {
+  let module;
+  try {
+    // Resolve packages from the working directory so that archhive can be installed globally
+    const path =
+      specifier.startsWith('.') || isAbsolute(specifier)
+        ? resolve(specifier)
+        : createRequire(join(process.cwd(), 'index.js')).resolve(specifier);
+    module = await import(pathToFileURL(path).href);
+  } catch (e) {
+    throw new InvalidOptionError(
+      'plugins',
+      `Could not load archiver plugin: ${specifier} (${e.message})`,
+      { cause: e }
+    );
+  }
+
+  const exported = [].concat(module.default || module.archivers || []);
+  if (!exported.length) {
+    throw new InvalidOptionError(
+      'plugins',
+      `Archiver plugin ${specifier} does not export any archivers`
+    );
+  }
+  exported.forEach(registerArchiver);
+  return exported;
+}
 
 export function isArchiveOrgUrl(urlObject) {
   return urlObject.hostname === 'web.archive.org';
@@ -20,5 +116,48 @@ export function isArchiveTodayUrl(urlObject) {
 export function isArchiveUrl(urlString) {
   const url = new URL(urlString);
 
-  return isArchiveOrgUrl(url) || isArchiveTodayUrl(url);
+  return [...archivers.values()].some((archiver) => archiver.isArchiveUrl(url));
 }
+
+registerArchiver({
+  name: 'archive.org',
+  label: 'ARCHIVE.ORG',
+  id: 'ao',
+  urlKey: 'archiveOrgUrl',
+  shortUrlKey: 'archiveOrgShortUrl',
+  urlOption: 'aoUrl',
+  isArchiveUrl: isArchiveOrgUrl,
+  archive: aoArchive,
+});
+
+registerArchiver({
+  name: 'archive.today',
+  label: 'ARCHIVE.TODAY',
+  id: 'at',
+  urlKey: 'archiveTodayUrl',
+  urlOption: 'atUrl',
+  isArchiveUrl: isArchiveTodayUrl,
+  archive: atArchive,
+});
+
+registerArchiver({
+  name: 'ghostarchive',
+  label: 'GHOSTARCHIVE',
+  id: 'ga',
+  urlKey: 'ghostarchiveUrl',
+  urlOption: 'gaUrl',
+  enabledByDefault: false,
+  isArchiveUrl: isGhostarchiveUrl,
+  archive: gaArchive,
+});
+
+registerArchiver({
+  name: 'perma.cc',
+  label: 'PERMA.CC',
+  id: 'perma',
+  urlKey: 'permaCcUrl',
+  urlOption: 'permaUrl',
+  enabledByDefault: false,
+  isArchiveUrl: isPermaCcUrl,
+  archive: permaArchive,
+});
@@ -1,5 +1,6 @@
 import retry from 'async-retry';
 import { blockResources } from '../browser.js';
+import { renewSnapshot, useExistingSnapshot } from '../policy.js';
 /**
  *
  * @param {import('../types').TaskContext} ctx
@@ -28,12 +29,11 @@ export async function atArchive(ctx, task) {
     } catch (e) {
       const currentUrl = page.url();
       if (ctx.opts.debug) ctx.log?.(e);
-      const useArchived = /** @type {any} */ (await ctx.prompt?.({
-        type: 'confirm',
-        message: `A crash occurred while loading archive.today, but an archived copy already exists which can be used (${currentUrl}). Would you like to use it?`,
-        name: 'continue',
-        initial: true,
-      }))?.continue;
+      const useArchived = await useExistingSnapshot(
+        ctx,
+        'failure',
+        `A crash occurred while loading archive.today, but an archived copy already exists which can be used (${currentUrl}). Would you like to use it?`
+      );
       if (useArchived) {
         await page.close();
         return { archiveTodayUrl: currentUrl };
@@ -54,14 +54,7 @@ export async function atArchive(ctx, task) {
       let rearchive = false;
       // Check if archivedDate parsed correctly
       if (archivedDate.getTime()) {
-        if (ctx.opts.renew === 'auto') {
-          const ONE_YEAR = 31556952000;
-          if (new Date().getTime() - archivedDate.getTime() > ONE_YEAR) {
-            rearchive = true;
-          }
-        } else if (ctx.opts.renew === 'manual') {
-          // TODO: keyboard input
-        }
+        rearchive = await renewSnapshot(ctx, atDomain, originalUrl, archivedDate);
       } else {
         ctx.log?.('Could not parse date on archive.today page:', { archivedText });
       }
@@ -75,12 +68,11 @@ export async function atArchive(ctx, task) {
           ]);
         } catch (e) {
           if (ctx.opts.debug) ctx.log?.(e);
-          const useArchived = /** @type {any} */ (await ctx.prompt?.({
-            type: 'confirm',
-            message: `Could not rearchive on archive.today, but an archived copy already exists (${originalUrl}). Would you like to use it?`,
-            name: 'continue',
-            initial: true,
-          }))?.continue;
+          const useArchived = await useExistingSnapshot(
+            ctx,
+            'failure',
+            `Could not rearchive on archive.today, but an archived copy already exists (${originalUrl}). Would you like to use it?`
+          );
           if (useArchived) archiveTodayUrl = originalUrl;
           else throw e;
         }
@@ -99,12 +91,11 @@ export async function atArchive(ctx, task) {
           if (originalUrl.includes('/submit')) {
             throw new Error('archive.today is throwing a CAPTCHA when archiving links');
           } else {
-            const useArchived = /** @type {any} */ (await ctx.prompt?.({
-              type: 'confirm',
-              message: `archive.today is throwing a CAPTCHA, but an archived copy already exists (${originalUrl}). Would you like to use it?`,
-              name: 'continue',
-              initial: true,
-            }))?.continue;
+            const useArchived = await useExistingSnapshot(
+              ctx,
+              'captcha',
+              `archive.today is throwing a CAPTCHA, but an archived copy already exists (${originalUrl}). Would you like to use it?`
+            );
             if (useArchived) {
               await page.close();
               return { archiveTodayUrl: originalUrl };
@@ -0,0 +1,143 @@
+import retry from 'async-retry';
+import { blockResources } from '../browser.js';
+import { renewSnapshot, useExistingSnapshot } from '../policy.js';
+
+const GHOSTARCHIVE_URL = 'https://ghostarchive.org';
+// Cloudflare challenge pages
+const CAPTCHA_TITLES = ['Attention Required!', 'Just a moment...'];
+
+/**
+ *
+ * @param {import('../types').TaskContext} ctx
+ * @param {import('../types').Task} task
+ */
+export async function gaArchive(ctx, task) {
+  let ghostarchiveUrl;
+  if (ctx.opts.gaUrl === 'auto') {
+    const page = await ctx.browser.newPage();
+    // Disable image loading so the browser doesn't crash when loading a snapshot
+    await blockResources(page, ['image']);
+
+    try {
+      task.output = 'Looking for an existing ghostarchive snapshot';
+      let existing;
+      try {
+        existing = await findLatestSnapshot(page, ctx.opts.url);
+      } catch (e) {
+        if (ctx.opts.debug) ctx.log?.(e);
+      }
+      if (
+        existing &&
+        !(await renewSnapshot(ctx, 'ghostarchive', existing.url, existing.date))
+      ) {
+        return { ghostarchiveUrl: existing.url };
+      }
+
+      task.output = 'Submitting URL to ghostarchive';
+      try {
+        await page.goto(GHOSTARCHIVE_URL, { waitUntil: 'domcontentloaded' });
+        if (CAPTCHA_TITLES.includes(await page.title())) {
+          throw new CaptchaError();
+        }
+        await page.evaluate((url) => {
+          /** @type {HTMLInputElement} */ (document.querySelector(
+            'input[name="archive"]'
+          )).value = url;
+        }, ctx.opts.url);
+        await Promise.all([
+          page.click('form[action*="archive"] [type="submit"]'),
+          page.waitForNavigation({ waitUntil: 'domcontentloaded' }),
+        ]);
+
+        task.output = 'Waiting for ghostarchive to crawl...';
+        // The submission page redirects to the snapshot once it is done
+        ghostarchiveUrl = await retry(
+          async (bail) => {
+            if (CAPTCHA_TITLES.includes(await page.title())) {
+              return bail(new CaptchaError());
+            }
+            const currentUrl = page.url();
+            if (!isGhostarchiveUrl(new URL(currentUrl))) {
+              throw new Error(`ghostarchive has not finished archiving: ${currentUrl}`);
+            }
+            return currentUrl;
+          },
+          { retries: 30, minTimeout: 2000, maxTimeout: 2000 }
+        );
+      } catch (e) {
+        if (ctx.opts.debug) ctx.log?.(e);
+        if (!existing) {
+          throw e instanceof CaptchaError
+            ? new Error('ghostarchive is throwing a CAPTCHA when archiving links')
+            : e;
+        }
+
+        const useArchived =
+          e instanceof CaptchaError
+            ? await useExistingSnapshot(
+                ctx,
+                'captcha',
+                `ghostarchive is throwing a CAPTCHA, but an archived copy already exists (${existing.url}). Would you like to use it?`
+              )
+            : await useExistingSnapshot(
+                ctx,
+                'failure',
+                `Could not archive on ghostarchive, but an archived copy already exists (${existing.url}). Would you like to use it?`
+              );
+        if (!useArchived) throw e;
+        ghostarchiveUrl = existing.url;
+      }
+    } finally {
+      await page.close();
+    }
+  } else if (ctx.opts.gaUrl !== 'none') {
+    ghostarchiveUrl = ctx.opts.gaUrl;
+  }
+
+  return { ghostarchiveUrl };
+}
+
+export function isGhostarchiveUrl(urlObject) {
+  return (
+    urlObject.hostname === 'ghostarchive.org' &&
+    /^\/v?archive\/\w+/.test(urlObject.pathname)
+  );
+}
+
+class CaptchaError extends Error {}
+
+/**
+ * Finds the latest snapshot of a URL using ghostarchive's search page.
+ * @param {any} page
+ * @param {string} url
+ * @returns {Promise<{ url: string, date: Date } | undefined>}
+ */
+async function findLatestSnapshot(page, url) {
+  await page.goto(`${GHOSTARCHIVE_URL}/search?term=${encodeURIComponent(url)}`, {
+    waitUntil: 'domcontentloaded',
+  });
+  if (CAPTCHA_TITLES.includes(await page.title())) return;
+
+  // Each result is a table row containing the snapshot link and its date
+  const snapshots = await page.evaluate(() =>
+    Array.from(document.querySelectorAll('tr'))
+      .map((row) => {
+        /** @type {HTMLAnchorElement} */
+        const link = row.querySelector('a[href*="/archive/"]');
+        return link && { url: link.href, dateText: row.textContent };
+      })
+      .filter(Boolean)
+  );
+
+  let latest;
+  for (const snapshot of snapshots) {
+    const dateMatch = snapshot.dateText.match(
+      /\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}(?::\d{2})?)?/
+    );
+    const date = dateMatch && new Date(`${dateMatch[0].replace(' ', 'T')}Z`);
+    if (date?.getTime() && (!latest || date > latest.date)) {
+      latest = { url: snapshot.url, date };
+    }
+  }
+  return latest;
+}
@@ -0,0 +1,135 @@
+import retry from 'async-retry';
+import fetch from 'node-fetch';
+import { InvalidOptionError } from '../errors.js';
+import { renewSnapshot, useExistingSnapshot } from '../policy.js';
+
+const PERMA_API_URL = 'https://api.perma.cc/v1';
+
+/**
+ * Archives the URL using the perma.cc API. Requires an API key from https://perma.cc/settings/tools
+ * @param {import('../types').TaskContext} ctx
+ * @param {import('../types').Task} task
+ */
+export async function permaArchive(ctx, task) {
+  let permaCcUrl;
+  if (ctx.opts.permaUrl === 'auto') {
+    const apiKey = ctx.opts.permaApiKey || process.env.PERMA_API_KEY;
+    if (!apiKey) {
+      throw new InvalidOptionError(
+        'permaApiKey',
+        'perma.cc requires an API key. Pass --perma-api-key or set PERMA_API_KEY.'
+      );
+    }
+    const api = createApiClient(apiKey);
+
+    task.output = 'Looking for an existing perma.cc link';
+    let existing;
+    try {
+      existing = await findLatestLink(api, ctx.opts.url);
+    } catch (e) {
+      if (ctx.opts.debug) ctx.log?.(e);
+    }
+    if (
+      existing &&
+      !(await renewSnapshot(ctx, 'perma.cc', existing.url, existing.date))
+    ) {
+      return { permaCcUrl: existing.url };
+    }
+
+    try {
+      task.output = 'Submitting URL to perma.cc';
+      const { guid } = await api('/archives/', {
+        method: 'POST',
+        body: JSON.stringify({
+          url: ctx.opts.url,
+          ...(ctx.opts.permaFolder ? { folder: Number(ctx.opts.permaFolder) } : {}),
+        }),
+      });
+
+      task.output = 'Waiting for perma.cc to crawl...';
+      await retry(
+        async (bail) => {
+          const { captures } = await api(`/archives/${guid}/`);
+          const primary = captures?.find((capture) => capture.role === 'primary');
+          if (primary?.status === 'failed') {
+            return bail(new Error(`perma.cc failed to capture ${ctx.opts.url}`));
+          }
+          if (primary?.status !== 'success') {
+            throw new Error('perma.cc has not finished archiving');
+          }
+        },
+        { retries: 30, minTimeout: 2000, maxTimeout: 2000 }
+      );
+      permaCcUrl = `https://perma.cc/${guid}`;
+    } catch (e) {
+      if (ctx.opts.debug) ctx.log?.(e);
+      if (!existing) throw e;
+      const useArchived = await useExistingSnapshot(
+        ctx,
+        'failure',
+        `Could not archive on perma.cc, but a link already exists (${existing.url}). Would you like to use it?`
+      );
+      if (!useArchived) throw e;
+      permaCcUrl = existing.url;
+    }
+  } else if (ctx.opts.permaUrl !== 'none') {
+    permaCcUrl = ctx.opts.permaUrl;
+  }
+
+  return { permaCcUrl };
+}
+
+export function isPermaCcUrl(urlObject) {
+  // Links look like https://perma.cc/ABCD-1234
+  return (
+    urlObject.hostname === 'perma.cc' &&
+    /^\/[A-Z0-9]{4}-[A-Z0-9]{4}\/?$/.test(urlObject.pathname)
+  );
+}
+
+/**
+ * @param {string} apiKey
+ */
+function createApiClient(apiKey) {
+  /**
+   * @param {string} path
+   * @param {import('node-fetch').RequestInit} [init]
+   */
+  return async function api(path, init = {}) {
+    const response = await fetch(`${PERMA_API_URL}${path}`, {
+      ...init,
+      headers: {
+        Authorization: `ApiKey ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+    });
+    if (!response.ok) {
+      throw new Error(
+        `perma.cc API error (${response.status} ${
+          response.statusText
+        }): ${await response.text()}`
+      );
+    }
+    return response.json();
+  };
+}
+
+/**
+ * Finds the latest link of the user for a URL.
+ * @param {ReturnType<typeof createApiClient>} api
+ * @param {string} url
+ * @returns {Promise<{ url: string, date: Date } | undefined>}
+ */
+async function findLatestLink(api, url) {
+  const { objects } = await api(`/user/archives/?url=${encodeURIComponent(url)}`);
+  const latest = objects
+    ?.filter((link) => link.url === url)
+    .sort(
+      (a, b) => Date.parse(b.creation_timestamp) - Date.parse(a.creation_timestamp)
+    )[0];
+  if (!latest) return;
+  return {
+    url: `https://perma.cc/${latest.guid}`,
+    date: new Date(latest.creation_timestamp),
+  };
+}
@@ -0,0 +1,167 @@
+import fetch from 'node-fetch';
+import { ArchhiveError, InvalidOptionError } from '../errors.js';
+import { formatDate } from '../util.js';
+
+/**
+ * Lists the archive.org snapshots of a URL using the Wayback CDX API, oldest first.
+ * @param {string} url
+ * @returns {Promise<import('../types').Snapshot[]>}
+ */
+export async function listArchiveOrgSnapshots(url) {
+  const params = new URLSearchParams({
+    url,
+    output: 'json',
+    fl: 'timestamp,original,statuscode',
+    // Skip consecutive captures with the same content
+    collapse: 'digest',
+    // Most recent captures only, popular URLs have hundreds of thousands
+    limit: '-1000',
+  });
+  const response = await fetch(`https://web.archive.org/cdx/search/cdx?${params}`);
+  if (!response.ok) {
+    throw new Error(`Could not list archive.org snapshots: ${response.statusText}`);
+  }
+  return parseCdx(await response.text());
+}
+
+/**
+ * Parses the captures listed by the Wayback CDX API, in the JSON output with the timestamp,
+ * original and statuscode fields.
+ * @param {string} text
+ * @returns {import('../types').Snapshot[]}
+ */
+export function parseCdx(text) {
+  // The first row contains the field names
+  const [, ...rows] = text.trim() ? JSON.parse(text) : [];
+  return rows.map(([timestamp, original, statuscode]) => ({
+    archiver: 'archive.org',
+    url: `https://web.archive.org/web/${timestamp}/${original}`,
+    date: parseWaybackTimestamp(timestamp),
+    status: Number(statuscode) || undefined,
+  }));
+}
+
+/**
+ * Lists the archive.today snapshots of a URL using its Memento timemap, oldest first.
+ * @param {string} url
+ * @returns {Promise<import('../types').Snapshot[]>}
+ */
+export async function listArchiveTodaySnapshots(url) {
+  const response = await fetch(`https://archive.today/timemap/${url}`);
+  // No snapshots
+  if (response.status === 404) return [];
+  if (!response.ok) {
+    throw new Error(`Could not list archive.today snapshots: ${response.statusText}`);
+  }
+  return parseTimemap(await response.text()).map(({ url, date }) => ({
+    archiver: 'archive.today',
+    url: url.replace(/^http:/, 'https:'),
+    date,
+  }));
+}
+
+/**
+ * Parses the mementos of a timemap in the application/link-format
+ * (https://tools.ietf.org/html/rfc7089#section-5).
+ * @param {string} timemap
+ * @returns {{ url: string, date: Date }[]}
+ */
+export function parseTimemap(timemap) {
+  const mementos = [];
+  const LINK = /<([^>]+)>((?:\s*;\s*[\w-]+="[^"]*")*)/g;
+  let match;
+  while ((match = LINK.exec(timemap))) {
+    const [, url, params] = match;
+    const rel = params.match(/rel="([^"]*)"/)?.[1].split(' ') || [];
+    const datetime = params.match(/datetime="([^"]*)"/)?.[1];
+    if (rel.includes('memento') && datetime) {
+      mementos.push({ url, date: new Date(datetime) });
+    }
+  }
+  return mementos.sort((a, b) => a.date.getTime() - b.date.getTime());
+}
+
+/**
+ * Finds the snapshot closest to a date. Snapshots of error pages are ignored.
+ * @param {import('../types').Snapshot[]} snapshots
+ * @param {Date} date
+ */
+export function findClosestSnapshot(snapshots, date) {
+  let closest;
+  for (const snapshot of snapshots) {
+    if (snapshot.status >= 400) continue;
+    const distance = Math.abs(snapshot.date.getTime() - date.getTime());
+    if (!closest || distance < closest.distance) {
+      closest = { snapshot, distance };
+    }
+  }
+  return closest?.snapshot;
+}
+
+/**
+ * Finds the archive.org and archive.today snapshots closest to a date.
+ * @param {string} url
+ * @param {string} dateString e.g. 2020-05-01
+ * @param {(...text: any[]) => void} [log]
+ */
+export async function findSnapshotsAtDate(url, dateString, log) {
+  const date = new Date(dateString);
+  if (Number.isNaN(date.getTime())) {
+    throw new InvalidOptionError('atDate', `Invalid date: ${dateString}`);
+  }
+  const archiveOrg = findClosestSnapshot(await listArchiveOrgSnapshots(url), date);
+  if (!archiveOrg) {
+    throw new ArchhiveError(`archive.org has no snapshots of ${url}`);
+  }
+  // archive.today is optional, its timemap is often behind a CAPTCHA
+  const archiveToday = findClosestSnapshot(
+    await listArchiveTodaySnapshots(url).catch((e) => {
+      log?.(`Could not list archive.today snapshots: ${e.message}`);
+      return [];
+    }),
+    date
+  );
+  return { archiveOrg, archiveToday };
+}
+
+/**
+ * Prompts to select one of the snapshots, most recent first.
+ * @param {import('../types').TaskContext} ctx
+ * @param {import('../types').Snapshot[]} snapshots
+ * @param {string} message
+ */
+export async function selectSnapshot(ctx, snapshots, message) {
+  const choices = snapshots
+    .slice()
+    .reverse()
+    .map((snapshot) => ({ name: formatSnapshot(snapshot), snapshot }));
+  const { snapshot } = await ctx.prompt({
+    type: 'select',
+    message,
+    name: 'snapshot',
+    choices: choices.map(({ name }) => name),
+  });
+  return choices.find(({ name }) => name === snapshot)?.snapshot;
+}
+
+/**
+ * @param {import('../types').Snapshot} snapshot
+ */
+export function formatSnapshot(snapshot) {
+  return `${formatDate(snapshot.date)} ${snapshot.date.toISOString().slice(11, 16)}  ${
+    snapshot.status || '---'
+  }  ${snapshot.url}`;
+}
+
+/**
+ * @param {string} timestamp YYYYMMDDhhmmss, or a prefix of it
+ */
+export function parseWaybackTimestamp(timestamp) {
+  // Short timestamps are the start of the period, e.g. 2020 is 2020-01-01
+  const padded = timestamp + '00000101000000'.slice(timestamp.length);
+  const [year, month, day, hours, minutes, seconds] = padded
+    .match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/)
+    .slice(1)
+    .map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+}
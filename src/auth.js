@@ -0,0 +1,186 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { isArchiveUrl } from './archive/archivers.js';
+import { onPageRequest } from './browser.js';
+import { InvalidOptionError } from './errors.js';
+import { warn } from './util.js';
+
+const SAME_SITE = { no_restriction: 'None', none: 'None', lax: 'Lax', strict: 'Strict' };
+
+/**
+ * Whether the page is captured with the credentials of --cookies, --header or
+ * --user-data-dir
+ * @param {import('./types').ArchhiveOptions} opts
+ */
+export function hasCredentials(opts) {
+  return !!(opts.cookies || parseHeaders(opts.header).length || opts.userDataDir);
+}
+
+/**
+ * Reads a cookie jar exported from a browser, either a Netscape cookies.txt file or a JSON
+ * list of cookies (as returned by puppeteer or exported by browser extensions). Cookies of
+ * archive services are left out.
+ * @param {string} filename
+ * @returns {import('./types').Cookie[]}
+ */
+export function readCookies(filename) {
+  let content;
+  try {
+    content = readFileSync(resolve(filename), 'utf8');
+  } catch (e) {
+    throw new InvalidOptionError(
+      'cookies',
+      `Could not read cookies file: ${filename} (${e.message})`,
+      { cause: e }
+    );
+  }
+
+  let cookies;
+  if (/^\s*[[{]/.test(content)) {
+    let json;
+    try {
+      json = JSON.parse(content);
+    } catch (e) {
+      throw new InvalidOptionError(
+        'cookies',
+        `Invalid cookies file: ${filename} (${e.message})`,
+        { cause: e }
+      );
+    }
+    cookies = [].concat(json.cookies || json).map(fromJsonCookie);
+  } else {
+    cookies = content
+      .split(/\r?\n/)
+      .filter(
+        (line) => line.trim() && (!line.startsWith('#') || /^#HttpOnly_/i.test(line))
+      )
+      .map(fromNetscapeCookie);
+  }
+
+  const invalid = cookies.findIndex((cookie) => !cookie);
+  if (invalid !== -1) {
+    throw new InvalidOptionError(
+      'cookies',
+      `Invalid cookie ${invalid + 1} in ${filename} (expected a name and a domain)`
+    );
+  }
+  return cookies.filter((cookie) => !isArchiveCookie(cookie));
+}
+
+/**
+ * Whether a cookie would be sent to an archive service. Cookies of a domain are also sent to
+ * its subdomains, e.g. those of archive.org to web.archive.org.
+ * @param {import('./types').Cookie} cookie
+ */
+function isArchiveCookie(cookie) {
+  const domain = cookie.domain.replace(/^\./, '');
+  return [domain, `web.${domain}`, `www.${domain}`].some((host) =>
+    isArchiveUrl(`https://${host}/`)
+  );
+}
+
+/**
+ * @param {string} line domain, include subdomains, path, secure, expiry, name and value,
+ * separated by tabs
+ * @returns {import('./types').Cookie | undefined}
+ */
+function fromNetscapeCookie(line) {
+  const httpOnly = /^#HttpOnly_/i.test(line);
+  const fields = line.replace(/^#HttpOnly_/i, '').split('\t');
+  if (fields.length < 7) return undefined;
+  const [domain, , path, secure, expires, name, ...value] = fields;
+  return {
+    name,
+    value: value.join('\t'),
+    domain,
+    path: path || '/',
+    secure: secure.toUpperCase() === 'TRUE',
+    httpOnly,
+    // 0 is a session cookie
+    ...(Number(expires) > 0 && { expires: Number(expires) }),
+  };
+}
+
+/**
+ * @param {any} cookie
+ * @returns {import('./types').Cookie | undefined}
+ */
+function fromJsonCookie(cookie) {
+  if (!cookie || typeof cookie.name !== 'string' || !cookie.domain) return undefined;
+  const expires = cookie.expires ?? cookie.expirationDate;
+  const sameSite = SAME_SITE[String(cookie.sameSite).toLowerCase()];
+  return {
+    name: cookie.name,
+    value: String(cookie.value ?? ''),
+    domain: cookie.domain,
+    path: cookie.path || '/',
+    secure: !!cookie.secure,
+    httpOnly: !!cookie.httpOnly,
+    ...(!cookie.session && expires > 0 && { expires }),
+    ...(sameSite && { sameSite }),
+  };
+}
+
+/**
+ * Parses the headers of --header, e.g. `Authorization: Bearer <token>`.
+ * @param {string | string[]} [headers]
+ * @returns {[string, string][]}
+ */
+export function parseHeaders(headers) {
+  return [].concat(headers || []).map((header) => {
+    const match = String(header).match(/^\s*([!#$%&'*+.^_`|~0-9A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) {
+      throw new InvalidOptionError(
+        'header',
+        `Invalid --header: ${header} (expected "Name: value")`
+      );
+    }
+    return [match[1], match[2].trim()];
+  });
+}
+
+/**
+ * Opens the browser context the page is captured in, and records in `ctx.loggedIn` whether
+ * it is captured with credentials. Archive services never get them: --cookies are only set in
+ * an incognito context, and archive URLs are captured without credentials.
+ * @param {import('./types').TaskContext} ctx
+ * @returns {Promise<any>} The browser itself or an incognito context, both with newPage()
+ */
+export async function openCaptureContext(ctx) {
+  ctx.loggedIn = false;
+  if (!hasCredentials(ctx.opts)) return ctx.browser;
+  if (isArchiveUrl(ctx.opts.url)) {
+    warn(ctx, `Capturing the archive URL ${ctx.opts.url} without credentials`);
+    // The profile of --user-data-dir has the cookies of the site
+    return ctx.opts.userDataDir
+      ? ctx.browser.createIncognitoBrowserContext()
+      : ctx.browser;
+  }
+  ctx.loggedIn = true;
+  return ctx.opts.userDataDir ? ctx.browser : ctx.browser.createIncognitoBrowserContext();
+}
+
+/**
+ * Sets the cookies of --cookies and the headers of --header in a page of the capture
+ * context. Headers are only sent to the site of the URL (its host without www, and its
+ * subdomains), not to third parties.
+ * @param {import('./types').TaskContext} ctx
+ * @param {any} page
+ */
+export async function addCredentials(ctx, page) {
+  if (!ctx.loggedIn) return;
+  if (ctx.opts.cookies) await page.setCookie(...readCookies(ctx.opts.cookies));
+
+  const headers = Object.fromEntries(parseHeaders(ctx.opts.header));
+  if (!Object.keys(headers).length) return;
+  const site = new URL(ctx.opts.url).hostname.replace(/^www\./, '');
+  await onPageRequest(ctx.browser, page, (request) => {
+    const url = request.url();
+    const { hostname } = new URL(url);
+    if ((hostname === site || hostname.endsWith(`.${site}`)) && !isArchiveUrl(url)) {
+      const continueRequest = request.continue.bind(request);
+      request.continue = (overrides = {}) =>
+        continueRequest({ ...overrides, headers: { ...request.headers(), ...headers } });
+    }
+  });
+}
@@ -0,0 +1,37 @@
+import { readFile } from 'fs/promises';
+
+/**
+ * Reads a list of URLs, one per line. Empty lines and lines starting with # are ignored.
+ * @param {string} source Filename, or "-" to read from stdin
+ * @returns {Promise<string[]>}
+ */
+export async function readUrlList(source) {
+  let text;
+  if (source === '-') {
+    text = await readStream(process.stdin);
+  } else {
+    try {
+      text = await readFile(source, 'utf8');
+    } catch (e) {
+      throw new Error(`Could not read URL list: ${source} (${e.message})`);
+    }
+  }
+
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+/**
+ * @param {NodeJS.ReadableStream} stream
+ * @returns {Promise<string>}
+ */
+async function readStream(stream) {
+  let text = '';
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    text += chunk;
+  }
+  return text;
+}
@@ -7,7 +7,9 @@ import puppeteerExtra from 'puppeteer-extra';
 import AdblockerPlugin from 'puppeteer-extra-plugin-adblocker';
 import AnonymizeUAPlugin from 'puppeteer-extra-plugin-anonymize-ua';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-import { getViewport, wait } from './util.js';
+import { InvalidOptionError } from './errors.js';
+import { getDeviceProfiles } from './devices.js';
+import { wait } from './util.js';
 
 // Required filters
 const ARCHHIVE_FILTERS = `
@@ -18,6 +20,11 @@ const ARCHHIVE_FILTERS = `
 web.archive.org###wm-ipp-base
 `;
 
+/** Adblocker of each launched browser, which the filters of site profiles are added to */
+const blockers = new WeakMap();
+/** Request handlers of the pages of each launched browser, run by its adblocker */
+const requestHandlers = new WeakMap();
+
 /**
  *
  * @param {import('./types').TaskContext} ctx
@@ -35,6 +42,13 @@ export default async function launchBrowser(ctx, task) {
   });
   const blocker = await adblocker.getBlocker();
   addFiltersToAdblocker(blocker, ARCHHIVE_FILTERS);
+  // The adblocker continues every request, the handlers of pages run before it
+  const handlers = new Set();
+  const { onRequest } = blocker;
+  blocker.onRequest = (request) => {
+    handlers.forEach((handler) => handler(request));
+    onRequest(request);
+  };
 
   const filtersFile = ctx.opts.filters
     ? resolve(ctx.opts.filters)
@@ -45,7 +59,11 @@ export default async function launchBrowser(ctx, task) {
     customFilters = readFileSync(filtersFile, 'utf8');
   } catch (e) {
     if (ctx.opts.filters) {
-      throw new Error(`Could not read filters file: ${filtersFile} (${e.message})`);
+      throw new InvalidOptionError(
+        'filters',
+        `Could not read filters file: ${filtersFile} (${e.message})`,
+        { cause: e }
+      );
     }
   }
 
@@ -57,18 +75,93 @@ export default async function launchBrowser(ctx, task) {
   }
   puppeteerExtra.use(adblocker);
 
-  const [width, height] = getViewport(ctx.opts.width);
-  if (!width) {
-    throw new TypeError(`Invalid width specified: ${ctx.opts.width}`);
-  }
+  // Pages set their own viewport, the window only needs to fit the widest one
+  const profiles = getDeviceProfiles(ctx.opts);
+  const width = Math.max(...profiles.map((profile) => profile.width));
+  const height = Math.max(...profiles.map((profile) => profile.height));
 
   const browser = await puppeteerExtra.launch({
     headless: !ctx.opts.debug,
     args: [`--window-size=${width},${height}`],
+    // A browser profile, e.g. logged in to the site
+    userDataDir: ctx.opts.userDataDir && resolve(ctx.opts.userDataDir),
   });
+  blockers.set(browser, blocker);
+  requestHandlers.set(browser, handlers);
   return (ctx.browser = browser);
 }
 
+/**
+ * Runs a function on each request of a page before it is continued, e.g. to change its
+ * headers by replacing request.continue(). The adblocker of browsers launched by
+ * launchBrowser() already intercepts the requests and runs the function first; the requests
+ * of other browsers are intercepted here.
+ * @param {any} browser
+ * @param {any} page
+ * @param {(request: any) => void} handler
+ */
+export async function onPageRequest(browser, page, handler) {
+  const handlers = requestHandlers.get(browser);
+  if (!handlers) {
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      handler(request);
+      request.continue();
+    });
+    return;
+  }
+  const pageHandler = (request) => {
+    if (page.frames().includes(request.frame())) handler(request);
+  };
+  handlers.add(pageHandler);
+  page.once('close', () => handlers.delete(pageHandler));
+}
+
+/**
+ * Adds the filters of the site profile to the browser's adblocker. As the browser may be
+ * shared with other URLs in batch mode, they are restricted to the site's domains.
+ * @param {import('./types').TaskContext} ctx
+ */
+export function addSiteFilters(ctx) {
+  const blocker = blockers.get(ctx.browser);
+  const filters = ctx.siteProfile?.filters;
+  if (!blocker || !filters) return;
+  const domains = [
+    new URL(ctx.opts.url).hostname,
+    ...ctx.siteProfile.hosts.map((host) => host.replace(/^\*\./, '')),
+  ];
+  addFiltersToAdblocker(blocker, restrictFilters(filters, domains));
+  if (ctx.opts.debug) {
+    ctx.log?.(`Using the filters of site profile: ${ctx.siteProfile.filename}`);
+  }
+}
+
+/**
+ * Restricts filters that apply to every site to some domains and their subdomains.
+ * @param {string} filters
+ * @param {string[]} domains
+ */
+function restrictFilters(filters, domains) {
+  return filters
+    .split('\n')
+    .map((filter) => {
+      filter = filter.trim();
+      // Comments and headers
+      if (!filter || filter.startsWith('!') || filter.startsWith('[')) return filter;
+      const cosmetic = filter.match(/^([^#]*)(#@?[$?]?#)(.*)$/);
+      if (cosmetic) {
+        const [, hostnames, separator, selector] = cosmetic;
+        return `${hostnames || domains.join(',')}${separator}${selector}`;
+      }
+      // Regular expressions may contain $
+      const optionsStart = /^\/.*\/$/.test(filter) ? -1 : filter.lastIndexOf('$');
+      if (optionsStart === -1) return `${filter}$domain=${domains.join('|')}`;
+      if (/(^|,)domain=/.test(filter.slice(optionsStart + 1))) return filter;
+      return `${filter},domain=${domains.join('|')}`;
+    })
+    .join('\n');
+}
+
 function addFiltersToAdblocker(blocker, filters) {
   const { cosmeticFilters, networkFilters } = cliqzAdblocker.parseFilters(
     filters,
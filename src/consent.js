@@ -0,0 +1,245 @@
+import { InvalidOptionError } from './errors.js';
+import { wait, warn } from './util.js';
+
+export const CONSENT_MODES = ['reject', 'accept', 'hide'];
+
+/**
+ * Consent management platforms, with their banner, their buttons and the functions of their
+ * JavaScript API
+ */
+const CMPS = [
+  {
+    name: 'OneTrust',
+    container: '#onetrust-consent-sdk',
+    reject: '#onetrust-reject-all-handler',
+    accept: '#onetrust-accept-btn-handler',
+    api: { object: 'OneTrust', reject: 'RejectAll', accept: 'AllowAll' },
+  },
+  {
+    name: 'Quantcast',
+    container: '#qc-cmp2-container, .qc-cmp2-container',
+    reject: '.qc-cmp2-summary-buttons button[mode="secondary"]',
+    accept: '.qc-cmp2-summary-buttons button[mode="primary"]',
+  },
+  {
+    name: 'Didomi',
+    container: '#didomi-host',
+    reject: '#didomi-notice-disagree-button, .didomi-continue-without-agreeing',
+    accept: '#didomi-notice-agree-button',
+    api: {
+      object: 'Didomi',
+      reject: 'setUserDisagreeToAll',
+      accept: 'setUserAgreeToAll',
+    },
+  },
+];
+
+/** Other banners and overlays, hidden when they could not be dismissed */
+const OVERLAY_SELECTORS = [
+  ...CMPS.map((cmp) => cmp.container),
+  '.onetrust-pc-dark-filter',
+  '.didomi-popup-backdrop',
+  '#usercentrics-root',
+  '#CybotCookiebotDialog',
+  '#CybotCookiebotDialogBodyUnderlay',
+  '.fc-consent-root',
+  '[id^="sp_message_container"]',
+  '#truste-consent-track',
+  '.truste_overlay',
+  '.truste_box_overlay',
+  '#cmpbox',
+  '#cmpbox2',
+  '.cc-window',
+  '.cc-banner',
+  '#cookie-law-info-bar',
+  '#cookie-notice',
+  '#gdpr-cookie-message',
+  '#sd-cmp',
+  '[aria-label="cookieconsent"]',
+];
+
+/** Labels of the buttons of other CMPs, in lower case */
+const BUTTON_LABELS = {
+  reject: [
+    'reject all',
+    'reject',
+    'decline',
+    'i do not agree',
+    'disagree',
+    'continue without accepting',
+    'alle ablehnen',
+    'ablehnen',
+    'tout refuser',
+    'refuser',
+    'continuer sans accepter',
+    'rechazar todo',
+    'rechazar',
+    'rifiuta tutto',
+    'rifiuta',
+    'alles weigeren',
+    'weigeren',
+  ],
+  accept: [
+    'accept all',
+    'accept',
+    'allow all',
+    'i agree',
+    'agree',
+    'alle akzeptieren',
+    'akzeptieren',
+    'tout accepter',
+    'accepter',
+    "j'accepte",
+    'aceptar todo',
+    'aceptar',
+    'accetta tutto',
+    'accetta',
+    'alles accepteren',
+    'accepteren',
+  ],
+};
+
+/**
+ * @param {string} [consent]
+ */
+export function validateConsent(consent) {
+  if (consent && !CONSENT_MODES.includes(consent)) {
+    throw new InvalidOptionError(
+      'consent',
+      `Invalid --consent: ${consent} (expected one of ${CONSENT_MODES.join(', ')})`
+    );
+  }
+}
+
+/**
+ * Dismisses cookie walls and consent banners per --consent: clicks the reject or accept
+ * button of the consent management platform (OneTrust, Quantcast, Didomi, or other banners
+ * by the label of their buttons), then hides the banners that remain. In noscript mode, banners
+ * can only be hidden.
+ * @param {import('./types').TaskContext} ctx
+ * @param {any} page
+ * @param {import('./types').Task} task
+ */
+export async function handleConsent(ctx, page, task) {
+  const mode = ctx.opts.consent;
+  if (mode !== 'hide' && !ctx.opts.noscript) {
+    task.output = `Looking for a consent banner to ${mode}`;
+    // Banners are often added after the page is loaded
+    await page
+      .waitForFunction(
+        (selectors) => !!document.querySelector(selectors),
+        { timeout: 3000 },
+        CMPS.map((cmp) => cmp.container).join(', ')
+      )
+      .catch(() => {});
+
+    const url = page.url();
+    let cmp;
+    // Also look in frames, which some CMPs render their banner in
+    for (const frame of page.frames()) {
+      cmp = await frame
+        .evaluate(dismissBanner, { mode, cmps: CMPS, labels: BUTTON_LABELS[mode] })
+        .catch(() => undefined);
+      if (cmp) break;
+    }
+    if (cmp) {
+      task.output = `Consent: ${mode}ed with ${cmp}`;
+      if (ctx.opts.debug) ctx.log?.(task.output);
+      // Some pages reload once consent is given
+      await page
+        .waitForNavigation({ waitUntil: 'networkidle0', timeout: 3000 })
+        .catch(() => {});
+      await wait(500);
+      // A button that was not the banner's may have followed a link
+      if (page.url() !== url) {
+        warn(ctx, `Dismissing the consent banner navigated to ${page.url()}, going back`);
+        await page.goto(url, { waitUntil: 'networkidle0', timeout: 60000 });
+      }
+    }
+  }
+
+  task.output = 'Hiding consent banners';
+  const hidden = await page.evaluate(hideOverlays, OVERLAY_SELECTORS);
+  if (ctx.opts.debug && hidden) ctx.log?.(`Hid ${hidden} consent banners`);
+}
+
+/**
+ * Runs in the page: clicks the reject or accept button of the banner.
+ * @param {{ mode: string, cmps: typeof CMPS, labels: string[] }} options
+ * @returns {string | undefined} Name of the CMP whose banner was dismissed
+ */
+function dismissBanner({ mode, cmps, labels }) {
+  const isVisible = (/** @type {HTMLElement} */ element) =>
+    !!(element.offsetWidth || element.offsetHeight || element.getClientRects().length);
+  /**
+   * @param {ParentNode} root
+   */
+  const findButtonByLabel = (root) =>
+    Array.from(root.querySelectorAll('button, [role="button"]'))
+      .filter((element) => isVisible(/** @type {HTMLElement} */ (element)))
+      .map((element) => ({
+        element,
+        label: (element.textContent || element.getAttribute('aria-label') || '')
+          .trim()
+          .toLowerCase(),
+      }))
+      // The most specific label first, e.g. "reject all" before "reject"
+      .sort((a, b) => labels.indexOf(a.label) - labels.indexOf(b.label))
+      .find(({ label }) => labels.includes(label))?.element;
+
+  for (const cmp of cmps) {
+    const container = document.querySelector(cmp.container);
+    if (!container) continue;
+    const api = cmp.api && /** @type {any} */ (window)[cmp.api.object];
+    if (api && typeof api[cmp.api[mode]] === 'function') {
+      api[cmp.api[mode]]();
+      return cmp.name;
+    }
+    const button =
+      (cmp[mode] && document.querySelector(cmp[mode])) || findButtonByLabel(container);
+    if (button) {
+      /** @type {HTMLElement} */ (button).click();
+      return cmp.name;
+    }
+  }
+
+  // Other CMPs, recognized by the words in their IDs and classes. The page itself is never
+  // searched, as it may have unrelated buttons with the same labels.
+  const containers = Array.from(
+    document.querySelectorAll(
+      '[id*="consent" i], [class*="consent" i], [id*="cookie" i], [class*="cookie" i], [id*="gdpr" i], [class*="gdpr" i], [id*="cmp" i], [class*="cmp" i]'
+    )
+  ).filter((element) => isVisible(/** @type {HTMLElement} */ (element)));
+  for (const container of containers) {
+    const button = findButtonByLabel(container);
+    if (button) {
+      /** @type {HTMLElement} */ (button).click();
+      return 'consent banner';
+    }
+  }
+}
+
+/**
+ * Runs in the page: hides the banners and overlays, and restores scrolling, which banners
+ * often disable.
+ * @param {string[]} selectors
+ * @returns {number} Number of hidden elements
+ */
+function hideOverlays(selectors) {
+  const elements = document.querySelectorAll(selectors.join(', '));
+  elements.forEach((element) =>
+    /** @type {HTMLElement} */ (element).style.setProperty('display', 'none', 'important')
+  );
+  if (elements.length) {
+    for (const element of [document.documentElement, document.body]) {
+      const style = getComputedStyle(element);
+      if (style.overflowY === 'hidden') {
+        element.style.setProperty('overflow', 'visible', 'important');
+      }
+      if (style.position === 'fixed') {
+        element.style.setProperty('position', 'static', 'important');
+      }
+    }
+  }
+  return elements.length;
+}
@@ -0,0 +1,150 @@
+/**
+ * Minimal ASN.1 DER encoder and decoder, for RFC 3161 timestamp requests and tokens
+ */
+
+export const TAGS = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  PRINTABLE_STRING: 0x13,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  SET: 0x31,
+};
+
+/**
+ * @param {number} tag
+ * @param {Buffer} content
+ */
+export function encode(tag, content) {
+  const { length } = content;
+  let header;
+  if (length < 0x80) {
+    header = Buffer.from([tag, length]);
+  } else {
+    const bytes = [];
+    for (let n = length; n > 0; n = Math.floor(n / 256)) bytes.unshift(n % 256);
+    header = Buffer.from([tag, 0x80 | bytes.length, ...bytes]);
+  }
+  return Buffer.concat([header, content]);
+}
+
+/**
+ * @param {...Buffer} items
+ */
+export function sequence(...items) {
+  return encode(TAGS.SEQUENCE, Buffer.concat(items));
+}
+
+/**
+ * @param {Buffer} bytes Unsigned big-endian value
+ */
+export function integer(bytes) {
+  // Strip leading zeros, and keep the value positive
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start++;
+  const value = bytes.subarray(start);
+  return encode(
+    TAGS.INTEGER,
+    value[0] & 0x80 ? Buffer.concat([Buffer.from([0]), value]) : value
+  );
+}
+
+/**
+ * @param {string} oid Dotted notation
+ */
+export function objectIdentifier(oid) {
+  const [first, second, ...rest] = oid.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const arcBytes = [arc & 0x7f];
+    for (let n = Math.floor(arc / 128); n > 0; n = Math.floor(n / 128)) {
+      arcBytes.unshift((n & 0x7f) | 0x80);
+    }
+    bytes.push(...arcBytes);
+  }
+  return encode(TAGS.OID, Buffer.from(bytes));
+}
+
+/**
+ * Decodes a DER element. Constructed elements are decoded recursively into `children`.
+ * @param {Buffer} buffer
+ * @param {number} [offset]
+ * @returns {import('./types').DerElement}
+ */
+export function decode(buffer, offset = 0) {
+  const tag = buffer[offset];
+  let length = buffer[offset + 1];
+  let headerLength = 2;
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < lengthBytes; i++) {
+      length = length * 256 + buffer[offset + 2 + i];
+    }
+    headerLength += lengthBytes;
+  }
+  const end = offset + headerLength + length;
+  if (tag === undefined || end > buffer.length) {
+    throw new Error('Invalid DER data');
+  }
+
+  /** @type {import('./types').DerElement} */
+  const element = {
+    tag,
+    // Including the header, e.g. to re-encode signed attributes
+    bytes: buffer.subarray(offset, end),
+    content: buffer.subarray(offset + headerLength, end),
+  };
+  if (tag & 0x20) {
+    element.children = [];
+    for (let i = offset + headerLength; i < end; ) {
+      const child = decode(buffer, i);
+      element.children.push(child);
+      i += child.bytes.length;
+    }
+  }
+  return element;
+}
+
+/**
+ * @param {Buffer} content Content of an OBJECT IDENTIFIER
+ * @returns {string} Dotted notation
+ */
+export function decodeObjectIdentifier(content) {
+  const arcs = [Math.floor(content[0] / 40), content[0] % 40];
+  let value = 0;
+  for (const byte of content.subarray(1)) {
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      arcs.push(value);
+      value = 0;
+    }
+  }
+  return arcs.join('.');
+}
+
+/**
+ * @param {Buffer} content Content of a GeneralizedTime, e.g. 20210102030405.123Z
+ */
+export function decodeGeneralizedTime(content) {
+  const match = content
+    .toString('latin1')
+    .match(/^(\d{4})(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)(?:[.,](\d+))?Z$/);
+  if (!match) throw new Error(`Unsupported time: ${content.toString('latin1')}`);
+  const [, year, month, day, hours, minutes, seconds, fraction = '0'] = match;
+  return new Date(
+    Date.UTC(
+      Number(year),
+      Number(month) - 1,
+      Number(day),
+      Number(hours),
+      Number(minutes),
+      Number(seconds),
+      Math.round(Number(`0.${fraction}`) * 1000)
+    )
+  );
+}
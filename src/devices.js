@@ -0,0 +1,155 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import puppeteer from 'puppeteer';
+import { InvalidOptionError } from './errors.js';
+import { getViewport, VIEWPORT_WIDTH } from './util.js';
+
+/**
+ * Device profiles of the --width presets. Mobile presets use the user agent of a similar
+ * puppeteer device, but keep a scale factor of 1 so that screenshots are as wide as the preset.
+ */
+const PRESET_PROFILES = {
+  mini: { height: 1080, isMobile: true, hasTouch: true, userAgentOf: 'Pixel 2' },
+  mobile: { height: 1080, isMobile: true, hasTouch: true, userAgentOf: 'Pixel 2 XL' },
+  tablet: { height: 1024, isMobile: true, hasTouch: true, userAgentOf: 'iPad' },
+  notebook: { height: 1080, isMobile: false, hasTouch: false },
+  laptop: { height: 1080, isMobile: false, hasTouch: false },
+  desktop: { height: 1080, isMobile: false, hasTouch: false },
+};
+
+/**
+ * Resolves the devices to emulate, in order: the devices in --device, or else the widths
+ * in --width.
+ * @param {import('./types').ArchhiveOptions} opts
+ * @returns {import('./types').DeviceProfile[]}
+ */
+export function getDeviceProfiles(opts) {
+  const profiles = opts.device
+    ? splitList(opts.device).map((name) => getDeviceProfile(name, opts.devices))
+    : getWidthProfiles(opts.width);
+  // Remove duplicates
+  return profiles.filter(
+    (profile, i) => profiles.findIndex(({ name }) => name === profile.name) === i
+  );
+}
+
+/**
+ * Finds a device in the --devices file or in puppeteer's device descriptors.
+ * Names are case insensitive.
+ * @param {string} name
+ * @param {string} [devicesFile]
+ * @returns {import('./types').DeviceProfile}
+ */
+export function getDeviceProfile(name, devicesFile) {
+  const customDevices = devicesFile ? readDevicesFile(devicesFile) : {};
+  const descriptor =
+    findByName(customDevices, name) ||
+    findByName(/** @type {Record<string, any>} */ (puppeteer.devices), name);
+  if (!descriptor) {
+    throw new InvalidOptionError(
+      'device',
+      `Unknown device: ${name}. Use a name from puppeteer's device descriptors, or add it to a --devices file.`
+    );
+  }
+  return toProfile(descriptor.name || name, descriptor);
+}
+
+/**
+ * @param {string} [widths] Widths or presets separated by commas, or "all" for every preset
+ * @returns {import('./types').DeviceProfile[]}
+ */
+function getWidthProfiles(widths = 'laptop') {
+  const names =
+    widths.toLowerCase() === 'all'
+      ? Object.keys(VIEWPORT_WIDTH)
+      : splitList(widths).map((name) => name.toLowerCase());
+  if (!names.length) {
+    throw new InvalidOptionError('width', `Invalid width specified: ${widths}`);
+  }
+  return names.map((name) => {
+    const [width, height] = getViewport(name);
+    if (!width) {
+      throw new InvalidOptionError('width', `Invalid width specified: ${name}`);
+    }
+    const preset = PRESET_PROFILES[name];
+    if (!preset) {
+      return {
+        name,
+        width,
+        height,
+        deviceScaleFactor: 1,
+        isMobile: false,
+        hasTouch: false,
+      };
+    }
+    const { userAgentOf, ...profile } = preset;
+    return {
+      name,
+      width,
+      deviceScaleFactor: 1,
+      ...profile,
+      userAgent: userAgentOf && puppeteer.devices[userAgentOf].userAgent,
+    };
+  });
+}
+
+/**
+ * Reads a JSON object of device profiles by name. Profiles are either flat, or puppeteer
+ * device descriptors with a `viewport` property.
+ * @param {string} devicesFile
+ * @returns {Record<string, any>}
+ */
+function readDevicesFile(devicesFile) {
+  try {
+    return JSON.parse(readFileSync(resolve(devicesFile), 'utf8'));
+  } catch (e) {
+    throw new InvalidOptionError(
+      'devices',
+      `Could not read devices file: ${devicesFile} (${e.message})`,
+      { cause: e }
+    );
+  }
+}
+
+/**
+ * @param {string} name
+ * @param {any} descriptor
+ * @returns {import('./types').DeviceProfile}
+ */
+function toProfile(name, descriptor) {
+  const { viewport = descriptor, userAgent } = descriptor;
+  const profile = {
+    name,
+    width: Number(viewport.width),
+    height: Number(viewport.height) || 1080,
+    deviceScaleFactor: Number(viewport.deviceScaleFactor) || 1,
+    isMobile: !!viewport.isMobile,
+    hasTouch: !!viewport.hasTouch,
+    userAgent,
+  };
+  if (!profile.width) {
+    throw new InvalidOptionError('device', `Device ${name} does not have a width`);
+  }
+  return profile;
+}
+
+/**
+ * @param {Record<string, any>} devices
+ * @param {string} name
+ */
+function findByName(devices, name) {
+  const key = Object.keys(devices).find(
+    (key) => key.toLowerCase() === name.toLowerCase()
+  );
+  return key && { name: key, ...devices[key] };
+}
+
+/**
+ * @param {string} list
+ */
+function splitList(list) {
+  return list
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,333 @@
+import { createTwoFilesPatch, diffLines } from 'diff';
+import { existsSync } from 'fs';
+import { stat, writeFile } from 'fs/promises';
+import Jimp from 'jimp';
+import { basename, extname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { getArchivers } from './archive/archivers.js';
+import { findHistoryEntry } from './history.js';
+import { generateHeader } from './screenshot.js';
+import { formatDate } from './util.js';
+
+/** Side of the square blocks in which changes are highlighted, in pixels */
+const BLOCK_SIZE = 16;
+/** Difference of a color channel below which pixels are considered identical, e.g. JPEG noise */
+const CHANNEL_THRESHOLD = 32;
+/** Color of the bottom border of the header */
+const HEADER_BORDER = [0xb4, 0xc2, 0xd0];
+
+/**
+ * Finds a capture to compare, either a screenshot file or a history entry by ID or URL.
+ * @param {import('./types').HistoryEntry[]} entries
+ * @param {string} fileOrEntry
+ * @returns {Promise<import('./types').Capture>}
+ */
+export async function resolveCapture(entries, fileOrEntry) {
+  if (existsSync(fileOrEntry)) {
+    const filename = resolve(fileOrEntry);
+    // Use the history entry of the file if there is one, for its date and links
+    const entry = entries.find(
+      (entry) => entry.filename && resolve(entry.cwd, entry.filename) === filename
+    );
+    if (entry) return { ...entry, filename };
+    return { filename, timestamp: (await stat(filename)).mtime.toISOString() };
+  }
+  const entry = findHistoryEntry(entries, fileOrEntry);
+  if (!entry) {
+    throw new Error(`No file or capture found for: ${fileOrEntry}`);
+  }
+  if (!entry.filename) {
+    throw new Error(`Capture ${entry.id} does not have a screenshot`);
+  }
+  return { ...entry, filename: resolve(entry.cwd, entry.filename) };
+}
+
+/**
+ * Compares two captures of a page. Saves an image highlighting the changed regions of the
+ * new screenshot below the headers of both captures, and a diff of the text of the pages.
+ * @param {import('./types').Capture} before
+ * @param {import('./types').Capture} after
+ * @param {{ browser: any, outputDir: string, log?(...text: any[]): void }} options
+ * @returns {Promise<import('./types').DiffResult>}
+ */
+export async function diffCaptures(before, after, { browser, outputDir, log }) {
+  const [beforeImage, afterImage] = await Promise.all(
+    [before, after].map(async ({ filename }) => {
+      try {
+        return await Jimp.read(filename);
+      } catch (e) {
+        throw new Error(`Could not read ${filename} (${e.message}). Use a jpg or png.`);
+      }
+    })
+  );
+  // The headers always differ, compare the pages below them
+  const beforePage = cropHeader(beforeImage);
+  const afterPage = cropHeader(afterImage);
+  const { image: diffImage, percent: visualChange } = diffImages(beforePage, afterPage);
+
+  const headers = await renderHeaders(browser, [before, after], diffImage.bitmap.width);
+  const image = new Jimp(
+    diffImage.bitmap.width,
+    headers.bitmap.height + diffImage.bitmap.height,
+    0xffffffff
+  );
+  image.blit(headers, 0, 0).blit(diffImage, 0, headers.bitmap.height);
+
+  const name = `${basename(after.filename, extname(after.filename))} (diff)`;
+  const imageFilename = join(outputDir, `${name}.png`);
+  await image.writeAsync(imageFilename);
+
+  let textChange;
+  let textFilename;
+  const [beforeText, afterText] = await Promise.all(
+    [before, after].map((capture) =>
+      extractText(browser, capture).catch((e) => {
+        log?.(`Could not extract the text of ${capture.filename}: ${e.message}`);
+        return undefined;
+      })
+    )
+  );
+  if (beforeText === undefined || afterText === undefined) {
+    log?.(
+      'Skipping the text diff. Save captures with --format mhtml to compare their text.'
+    );
+  } else {
+    textChange = getTextChange(beforeText, afterText);
+    textFilename = join(outputDir, `${name}.diff`);
+    await writeFile(
+      textFilename,
+      createTwoFilesPatch(
+        before.filename,
+        after.filename,
+        beforeText,
+        afterText,
+        before.timestamp,
+        after.timestamp
+      )
+    );
+  }
+
+  return {
+    before: before.filename,
+    after: after.filename,
+    visualChange,
+    textChange,
+    image: imageFilename,
+    textDiff: textFilename,
+  };
+}
+
+/**
+ * Highlights the blocks of pixels that differ in red, and fades the rest of the new image.
+ * Images of different sizes are compared as if they were padded with white.
+ * @param {Jimp} before
+ * @param {Jimp} after
+ * @returns {{ image: Jimp, percent: number }} Percentage of changed pixels
+ */
+export function diffImages(before, after) {
+  const width = Math.max(before.bitmap.width, after.bitmap.width);
+  const height = Math.max(before.bitmap.height, after.bitmap.height);
+  const columns = Math.ceil(width / BLOCK_SIZE);
+  const changedBlocks = new Uint8Array(columns * Math.ceil(height / BLOCK_SIZE));
+  const beforeData = padBitmap(before, width, height);
+  const afterData = padBitmap(after, width, height);
+
+  let changedPixels = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (
+        Math.abs(beforeData[i] - afterData[i]) > CHANNEL_THRESHOLD ||
+        Math.abs(beforeData[i + 1] - afterData[i + 1]) > CHANNEL_THRESHOLD ||
+        Math.abs(beforeData[i + 2] - afterData[i + 2]) > CHANNEL_THRESHOLD
+      ) {
+        changedPixels++;
+        changedBlocks[
+          Math.floor(y / BLOCK_SIZE) * columns + Math.floor(x / BLOCK_SIZE)
+        ] = 1;
+      }
+    }
+  }
+
+  const image = new Jimp(width, height, 0xffffffff);
+  const { data } = image.bitmap;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const changed =
+        changedBlocks[Math.floor(y / BLOCK_SIZE) * columns + Math.floor(x / BLOCK_SIZE)];
+      const i = (y * width + x) * 4;
+      const r = afterData[i];
+      const g = afterData[i + 1];
+      const b = afterData[i + 2];
+      if (changed) {
+        // Red tint
+        data[i] = Math.round(r * 0.5 + 255 * 0.5);
+        data[i + 1] = Math.round(g * 0.5);
+        data[i + 2] = Math.round(b * 0.5);
+      } else {
+        // Faded towards white
+        data[i] = Math.round(r * 0.3 + 255 * 0.7);
+        data[i + 1] = Math.round(g * 0.3 + 255 * 0.7);
+        data[i + 2] = Math.round(b * 0.3 + 255 * 0.7);
+      }
+      data[i + 3] = 255;
+    }
+  }
+  return { image, percent: (changedPixels / (width * height)) * 100 };
+}
+
+/**
+ * Percentage of lines that were added or removed
+ * @param {string} before
+ * @param {string} after
+ */
+export function getTextChange(before, after) {
+  let changed = 0;
+  for (const part of diffLines(before, after)) {
+    if (part.added || part.removed) changed += part.count;
+  }
+  const total = countLines(before) + countLines(after);
+  return total ? (changed / total) * 100 : 0;
+}
+
+/**
+ * @param {string} text
+ */
+function countLines(text) {
+  return text ? text.split('\n').filter(Boolean).length : 0;
+}
+
+/**
+ * @param {Jimp} image
+ * @param {number} width
+ * @param {number} height
+ * @returns {Buffer} RGBA data of the image, padded with white to the size
+ */
+function padBitmap(image, width, height) {
+  const { bitmap } = image;
+  if (bitmap.width === width && bitmap.height === height) return bitmap.data;
+  const data = Buffer.alloc(width * height * 4, 255);
+  const rowLength = bitmap.width * 4;
+  for (let y = 0; y < bitmap.height; y++) {
+    bitmap.data.copy(data, y * width * 4, y * rowLength, (y + 1) * rowLength);
+  }
+  return data;
+}
+
+/**
+ * Removes the archhive header from a screenshot, found by its bottom border.
+ * @param {Jimp} image
+ */
+function cropHeader(image) {
+  const { width, height, data } = image.bitmap;
+  let headerHeight = 0;
+  // The header is at the top, and never taller than this
+  for (let y = 0; y < Math.min(height, 1200); y++) {
+    let borderPixels = 0;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (
+        Math.abs(data[i] - HEADER_BORDER[0]) < 16 &&
+        Math.abs(data[i + 1] - HEADER_BORDER[1]) < 16 &&
+        Math.abs(data[i + 2] - HEADER_BORDER[2]) < 16
+      ) {
+        borderPixels++;
+      }
+    }
+    if (borderPixels > width * 0.9) {
+      headerHeight = y + 1;
+    } else if (headerHeight) {
+      break;
+    }
+  }
+  if (!headerHeight || headerHeight >= height) return image;
+  return image.clone().crop(0, headerHeight, width, height - headerHeight);
+}
+
+/**
+ * Renders the headers of both captures, one above the other.
+ * @param {any} browser
+ * @param {import('./types').Capture[]} captures
+ * @param {number} width
+ */
+async function renderHeaders(browser, captures, width) {
+  const archivers = getArchivers('all');
+  const headers = [];
+  for (const capture of captures) {
+    // Files without a history entry only have their path
+    const url = capture.url || pathToFileURL(capture.filename).href;
+    headers.push(
+      await generateHeader({
+        urls: capture,
+        archivers,
+        actualUrl: capture.finalUrl || url,
+        originalUrl: url,
+        width,
+      })
+    );
+  }
+
+  const page = await browser.newPage();
+  try {
+    await page.setViewport({ width, height: 600 });
+    await page.setContent(`<body style="margin:0">${headers.join('')}</body>`);
+    await page.evaluate(
+      (dates) => {
+        document.querySelectorAll('archhive-header .archhive-date').forEach((elem, i) => {
+          elem.textContent = dates[i];
+        });
+      },
+      [
+        `${formatDate(new Date(captures[0].timestamp))} (before)`,
+        `${formatDate(new Date(captures[1].timestamp))} (after)`,
+      ]
+    );
+    return await Jimp.read(await page.screenshot({ type: 'png', fullPage: true }));
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Extracts the text of the article of a capture, from the MHTML file saved alongside the
+ * screenshot or else from the capture's first archive link.
+ * @param {any} browser
+ * @param {import('./types').Capture} capture
+ * @returns {Promise<string | undefined>}
+ */
+async function extractText(browser, capture) {
+  const mhtmlFilename = join(
+    resolve(capture.filename, '..'),
+    `${basename(capture.filename, extname(capture.filename))}.mhtml`
+  );
+  const archiveUrl = getArchivers('all')
+    .map((archiver) => capture[archiver.urlKey])
+    .find(Boolean);
+  const url = existsSync(mhtmlFilename) ? pathToFileURL(mhtmlFilename).href : archiveUrl;
+  if (!url) return;
+
+  const page = await browser.newPage();
+  try {
+    await page.goto(url, { waitUntil: 'load', timeout: 60000 });
+    return await extractArticleText(page);
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Returns the text of the page's article, or of its main content or body if it has none.
+ * The archhive header is removed.
+ * @param {any} page
+ * @returns {Promise<string>}
+ */
+export function extractArticleText(page) {
+  return page.evaluate(() => {
+    document.querySelector('archhive-header')?.remove();
+    const article =
+      document.querySelector('article') ||
+      document.querySelector('main, [role="main"]') ||
+      document.body;
+    return /** @type {HTMLElement} */ (article).innerText;
+  });
+}
@@ -0,0 +1,619 @@
+import { createHash } from 'crypto';
+import { readFile, writeFile } from 'fs/promises';
+import { extname } from 'path';
+import { buildDescriptionXmp, buildExif, buildIptc, buildXmp, parseXmp } from './xmp.js';
+
+/** Largest payload of a JPEG segment */
+const MAX_SEGMENT_LENGTH = 65533;
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+const EXTENDED_XMP_HEADER = Buffer.from('http://ns.adobe.com/xmp/extension/\0', 'latin1');
+const PHOTOSHOP_HEADER = Buffer.from('Photoshop 3.0\0', 'latin1');
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+
+/**
+ * Replaces the metadata of a JPEG, PNG, WebP or PDF file.
+ * @param {string} filename
+ * @param {import('./types').EmbeddedMetadata} metadata
+ */
+export async function writeEmbeddedMetadata(filename, metadata) {
+  const writers = {
+    '.jpg': writeJpeg,
+    '.png': writePng,
+    '.webp': writeWebp,
+    '.pdf': writePdf,
+  };
+  const writer = writers[extname(filename).toLowerCase()];
+  if (!writer) throw new Error(`Cannot write metadata to ${filename}`);
+  await writeFile(filename, writer(await readFile(filename), metadata));
+}
+
+/**
+ * Reads the metadata written by `writeEmbeddedMetadata()`.
+ * @param {string} filename
+ * @returns {Promise<Partial<import('./types').EmbeddedMetadata>>}
+ */
+export async function readEmbeddedMetadata(filename) {
+  const readers = {
+    '.jpg': readJpeg,
+    '.png': readPng,
+    '.webp': readWebp,
+    '.pdf': readPdf,
+  };
+  const reader = readers[extname(filename).toLowerCase()];
+  if (!reader) throw new Error(`Cannot read metadata from ${filename}`);
+  return reader(await readFile(filename));
+}
+
+/**
+ * @param {Buffer} jpeg
+ * @param {import('./types').EmbeddedMetadata} metadata
+ */
+function writeJpeg(jpeg, metadata) {
+  const segments = [];
+  segments.push(
+    segment(
+      0xe1,
+      Buffer.concat([
+        EXIF_HEADER,
+        buildExif(metadata, MAX_SEGMENT_LENGTH - EXIF_HEADER.length),
+      ])
+    )
+  );
+
+  let xmp = Buffer.from(buildXmp(metadata));
+  if (XMP_HEADER.length + xmp.length > MAX_SEGMENT_LENGTH) {
+    // Move the description, which contains the OCR text, to extended XMP segments
+    const extended = Buffer.from(buildDescriptionXmp(metadata));
+    const guid = createHash('md5').update(extended).digest('hex').toUpperCase();
+    xmp = Buffer.from(buildXmp(metadata, { omitDescription: true, extendedXmp: guid }));
+    const chunkLength = MAX_SEGMENT_LENGTH - EXTENDED_XMP_HEADER.length - 32 - 8;
+    for (let offset = 0; offset < extended.length; offset += chunkLength) {
+      const header = Buffer.alloc(8);
+      header.writeUInt32BE(extended.length, 0);
+      header.writeUInt32BE(offset, 4);
+      segments.push(
+        segment(
+          0xe1,
+          Buffer.concat([
+            EXTENDED_XMP_HEADER,
+            Buffer.from(guid, 'latin1'),
+            header,
+            extended.subarray(offset, offset + chunkLength),
+          ])
+        )
+      );
+    }
+  }
+  // The main XMP segment comes before the extended ones
+  segments.splice(1, 0, segment(0xe1, Buffer.concat([XMP_HEADER, xmp])));
+  segments.push(segment(0xed, Buffer.concat([PHOTOSHOP_HEADER, buildIptc(metadata)])));
+
+  // Remove the previous metadata, and keep the JFIF segment first
+  const kept = readJpegSegments(jpeg).filter(
+    ({ marker, data }) =>
+      !(
+        marker === 0xe1 ||
+        (marker === 0xed && data.subarray(0, 14).equals(PHOTOSHOP_HEADER))
+      )
+  );
+  const jfifCount = kept[0]?.marker === 0xe0 ? 1 : 0;
+  const rest = jpeg.subarray(kept.length ? kept[kept.length - 1].end : 2);
+  return Buffer.concat([
+    jpeg.subarray(0, 2),
+    ...kept.slice(0, jfifCount).map(({ bytes }) => bytes),
+    ...segments,
+    ...kept.slice(jfifCount).map(({ bytes }) => bytes),
+    rest,
+  ]);
+}
+
+/**
+ * @param {Buffer} jpeg
+ */
+function readJpeg(jpeg) {
+  const segments = readJpegSegments(jpeg);
+  const xmp = segments.find(
+    ({ marker, data }) =>
+      marker === 0xe1 && data.subarray(0, XMP_HEADER.length).equals(XMP_HEADER)
+  );
+  if (!xmp) return {};
+  const metadata = parseXmp(xmp.data.subarray(XMP_HEADER.length).toString('utf8'));
+  if (metadata.extendedXmp) {
+    const chunks = segments
+      .filter(
+        ({ marker, data }) =>
+          marker === 0xe1 &&
+          data.subarray(0, EXTENDED_XMP_HEADER.length).equals(EXTENDED_XMP_HEADER) &&
+          data.toString(
+            'latin1',
+            EXTENDED_XMP_HEADER.length,
+            EXTENDED_XMP_HEADER.length + 32
+          ) === metadata.extendedXmp
+      )
+      .map(({ data }) => ({
+        offset: data.readUInt32BE(EXTENDED_XMP_HEADER.length + 36),
+        data: data.subarray(EXTENDED_XMP_HEADER.length + 40),
+      }))
+      .sort((a, b) => a.offset - b.offset);
+    const extended = parseXmp(
+      Buffer.concat(chunks.map(({ data }) => data)).toString('utf8')
+    );
+    metadata.description = extended.description;
+  }
+  delete metadata.extendedXmp;
+  return metadata;
+}
+
+/**
+ * Segments between the start of image and the start of scan
+ * @param {Buffer} jpeg
+ * @returns {{ marker: number, data: Buffer, bytes: Buffer, end: number }[]}
+ */
+function readJpegSegments(jpeg) {
+  if (jpeg[0] !== 0xff || jpeg[1] !== 0xd8) throw new Error('Not a JPEG file');
+  const segments = [];
+  let offset = 2;
+  while (offset < jpeg.length && jpeg[offset] === 0xff) {
+    const marker = jpeg[offset + 1];
+    // Start of scan, the image data follows
+    if (marker === 0xda) break;
+    const length = jpeg.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    segments.push({
+      marker,
+      data: jpeg.subarray(offset + 4, end),
+      bytes: jpeg.subarray(offset, end),
+      end,
+    });
+    offset = end;
+  }
+  return segments;
+}
+
+/**
+ * @param {number} marker
+ * @param {Buffer} data
+ */
+function segment(marker, data) {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * @param {Buffer} png
+ * @param {import('./types').EmbeddedMetadata} metadata
+ */
+function writePng(png, metadata) {
+  const chunks = readPngChunks(png).filter(
+    ({ type }) => !['eXIf', 'tEXt', 'zTXt', 'iTXt'].includes(type)
+  );
+  const textChunks = [
+    // Keywords defined by the PNG specification
+    ['Title', metadata.title],
+    ['Description', metadata.description],
+    ['Author', metadata.creator],
+    ['Source', metadata.source],
+    ['Software', metadata.creatorTool],
+    ['Creation Time', metadata.date.toUTCString()],
+    [PNG_XMP_KEYWORD, buildXmp(metadata)],
+  ]
+    .filter(([, text]) => text)
+    .map(([keyword, text]) =>
+      pngChunk(
+        'iTXt',
+        Buffer.concat([
+          // Keyword, uncompressed, no language tag nor translated keyword
+          Buffer.from(`${keyword}\0\0\0\0\0`, 'latin1'),
+          Buffer.from(text, 'utf8'),
+        ])
+      )
+    );
+  // Metadata must come before the image data
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunks[0].bytes,
+    pngChunk('eXIf', buildExif(metadata)),
+    ...textChunks,
+    ...chunks.slice(1).map(({ bytes }) => bytes),
+  ]);
+}
+
+/**
+ * @param {Buffer} png
+ */
+function readPng(png) {
+  for (const { type, data } of readPngChunks(png)) {
+    if (type !== 'iTXt') continue;
+    const keywordEnd = data.indexOf(0);
+    if (data.toString('latin1', 0, keywordEnd) !== PNG_XMP_KEYWORD) continue;
+    // Skip the compression flag and method, then the language tag and translated keyword
+    const languageEnd = data.indexOf(0, keywordEnd + 3);
+    const textStart = data.indexOf(0, languageEnd + 1) + 1;
+    const { extendedXmp, ...metadata } = parseXmp(
+      data.subarray(textStart).toString('utf8')
+    );
+    return metadata;
+  }
+  return {};
+}
+
+/**
+ * @param {Buffer} png
+ * @returns {{ type: string, data: Buffer, bytes: Buffer }[]}
+ */
+function readPngChunks(png) {
+  if (!png.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('Not a PNG file');
+  const chunks = [];
+  for (let offset = 8; offset < png.length; ) {
+    const length = png.readUInt32BE(offset);
+    const end = offset + 12 + length;
+    chunks.push({
+      type: png.toString('latin1', offset + 4, offset + 8),
+      data: png.subarray(offset + 8, offset + 8 + length),
+      bytes: png.subarray(offset, end),
+    });
+    offset = end;
+  }
+  return chunks;
+}
+
+/**
+ * @param {string} type
+ * @param {Buffer} data
+ */
+function pngChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(header.subarray(4), data));
+  return Buffer.concat([header, data, crc]);
+}
+
+/** @type {Uint32Array} */
+let crcTable;
+
+/**
+ * @param {...Buffer} buffers
+ */
+function crc32(...buffers) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const buffer of buffers) {
+    for (const byte of buffer) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Metadata requires the extended WebP format, so simple files are converted to it.
+ * @param {Buffer} webp
+ * @param {import('./types').EmbeddedMetadata} metadata
+ */
+function writeWebp(webp, metadata) {
+  const chunks = readWebpChunks(webp).filter(
+    ({ type }) => type !== 'EXIF' && type !== 'XMP '
+  );
+  let vp8x = chunks.find(({ type }) => type === 'VP8X');
+  if (!vp8x) {
+    const { width, height, alpha } = getWebpImageInfo(chunks[0]);
+    const data = Buffer.alloc(10);
+    data[0] = alpha ? 0x10 : 0;
+    data.writeUIntLE(width - 1, 4, 3);
+    data.writeUIntLE(height - 1, 7, 3);
+    vp8x = { type: 'VP8X', data };
+    chunks.unshift(vp8x);
+  }
+  // EXIF and XMP flags
+  vp8x.data = Buffer.from(vp8x.data);
+  vp8x.data[0] |= 0x08 | 0x04;
+  chunks.push(
+    { type: 'EXIF', data: buildExif(metadata) },
+    { type: 'XMP ', data: Buffer.from(buildXmp(metadata)) }
+  );
+
+  const body = Buffer.concat(chunks.map(({ type, data }) => webpChunk(type, data)));
+  const header = Buffer.from('RIFF\0\0\0\0WEBP', 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * @param {Buffer} webp
+ */
+function readWebp(webp) {
+  const xmp = readWebpChunks(webp).find(({ type }) => type === 'XMP ');
+  if (!xmp) return {};
+  const { extendedXmp, ...metadata } = parseXmp(xmp.data.toString('utf8'));
+  return metadata;
+}
+
+/**
+ * @param {Buffer} webp
+ * @returns {{ type: string, data: Buffer }[]}
+ */
+function readWebpChunks(webp) {
+  if (
+    webp.toString('latin1', 0, 4) !== 'RIFF' ||
+    webp.toString('latin1', 8, 12) !== 'WEBP'
+  ) {
+    throw new Error('Not a WebP file');
+  }
+  const chunks = [];
+  for (let offset = 12; offset + 8 <= webp.length; ) {
+    const length = webp.readUInt32LE(offset + 4);
+    chunks.push({
+      type: webp.toString('latin1', offset, offset + 4),
+      data: webp.subarray(offset + 8, offset + 8 + length),
+    });
+    // Chunks are padded to an even length
+    offset += 8 + length + (length % 2);
+  }
+  return chunks;
+}
+
+/**
+ * @param {string} type
+ * @param {Buffer} data
+ */
+function webpChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.write(type, 0, 'latin1');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+/**
+ * Dimensions of a lossy (VP8) or lossless (VP8L) image
+ * @param {{ type: string, data: Buffer }} chunk
+ */
+function getWebpImageInfo({ type, data }) {
+  if (type === 'VP8 ') {
+    // After the frame tag and start code
+    return {
+      width: data.readUInt16LE(6) & 0x3fff,
+      height: data.readUInt16LE(8) & 0x3fff,
+      alpha: false,
+    };
+  }
+  if (type === 'VP8L') {
+    const bits = data.readUInt32LE(1);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >>> 14) & 0x3fff) + 1,
+      alpha: !!((bits >>> 28) & 1),
+    };
+  }
+  throw new Error(`Unsupported WebP image chunk: ${type}`);
+}
+
+/**
+ * Adds a document information dictionary in an incremental update, which leaves the original
+ * PDF untouched. The update has a cross-reference stream if the last section of the PDF has
+ * one, or else a cross-reference table.
+ * @param {Buffer} pdf
+ * @param {import('./types').EmbeddedMetadata} metadata
+ */
+function writePdf(pdf, metadata) {
+  const { size, root, infoRef, id, startxref, xrefStream } = readPdfTrailer(pdf);
+  const info = {
+    Title: metadata.title,
+    Subject: metadata.description,
+    Author: metadata.creator,
+    Keywords: metadata.keywords.join(', '),
+    Creator: metadata.creatorTool,
+    Producer: metadata.creatorTool,
+    Source: metadata.source,
+  };
+  for (const { name, url, shortUrl } of metadata.archives) {
+    info[`Archive: ${name}`] = shortUrl ? `${url} ${shortUrl}` : url;
+  }
+  const entries = Object.entries(info)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `/${encodePdfName(key)} ${encodePdfString(value)}`);
+  entries.push(`/CreationDate (${formatPdfDate(metadata.date)})`);
+
+  // Replace the existing info dictionary, e.g. Chrome's, or add a new object
+  const [number, generation] = infoRef ? infoRef.split(/\s+/).map(Number) : [size, 0];
+  const objectOffset = pdf.length + 1;
+  const object = `\n${number} ${generation} obj\n<< ${entries.join(' ')} >>\nendobj\n`;
+  const xrefOffset = objectOffset + object.length - 1;
+  const trailer = `/Root ${root} /Info ${number} ${generation} R /Prev ${startxref}${
+    id ? ` /ID ${id}` : ''
+  }`;
+  const end = `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  if (xrefStream) {
+    // A cross-reference stream can only be followed by another one
+    const streamNumber = Math.max(size, number + 1);
+    // Type 1 entries of the info object and the stream itself, per /W
+    const xref = Buffer.alloc(14);
+    xref.writeUInt8(1, 0);
+    xref.writeUInt32BE(objectOffset, 1);
+    xref.writeUInt16BE(generation, 5);
+    xref.writeUInt8(1, 7);
+    xref.writeUInt32BE(xrefOffset, 8);
+    xref.writeUInt16BE(0, 12);
+    const header = `${object}${streamNumber} 0 obj\n<< /Type /XRef /Size ${
+      streamNumber + 1
+    } ${trailer} /W [1 4 2] /Index [${number} 1 ${streamNumber} 1] /Length ${
+      xref.length
+    } >>\nstream\n`;
+    return Buffer.concat([
+      pdf,
+      Buffer.from(header, 'latin1'),
+      xref,
+      Buffer.from(`\nendstream\nendobj\n${end}`, 'latin1'),
+    ]);
+  }
+
+  const xref = `${String(objectOffset).padStart(10, '0')} ${String(generation).padStart(
+    5,
+    '0'
+  )} n`;
+  const update = `${object}xref\n0 1\n0000000000 65535 f\r\n${number} 1\n${xref}\r\ntrailer\n<< /Size ${Math.max(
+    size,
+    number + 1
+  )} ${trailer} >>\n${end}`;
+  return Buffer.concat([pdf, Buffer.from(update, 'latin1')]);
+}
+
+/**
+ * @param {Buffer} pdf
+ */
+function readPdf(pdf) {
+  const { infoRef } = readPdfTrailer(pdf);
+  if (!infoRef) return {};
+  const text = pdf.toString('latin1');
+  // The last definition of the object is the current one
+  const objectStart = text.lastIndexOf(`\n${infoRef.replace(/\s+/, ' ')} obj`);
+  if (objectStart === -1) return {};
+  const dictionary = readPdfDictionary(text, text.indexOf('<<', objectStart));
+  /** @type {Record<string, string>} */
+  const info = {};
+  for (const match of dictionary.matchAll(
+    /\/([^\s/<(]+)\s*(<[0-9A-Fa-f\s]*>|\((?:\\.|[^\\)])*\))/g
+  )) {
+    info[decodePdfName(match[1])] = decodePdfString(match[2]);
+  }
+
+  const date = info.CreationDate?.match(/^D:(\d{4})(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)/);
+  return {
+    title: info.Title,
+    description: info.Subject,
+    creator: info.Author,
+    source: info.Source,
+    keywords: info.Keywords ? info.Keywords.split(', ') : [],
+    date: date
+      ? new Date(Date.UTC(+date[1], +date[2] - 1, +date[3], +date[4], +date[5], +date[6]))
+      : undefined,
+    creatorTool: info.Creator,
+    archives: Object.entries(info)
+      .filter(([key]) => key.startsWith('Archive: '))
+      .map(([key, value]) => {
+        const [url, shortUrl] = value.split(' ');
+        return { name: key.slice('Archive: '.length), url, shortUrl };
+      }),
+  };
+}
+
+/**
+ * Finds the size, root, info and ID of the last cross-reference section, in a trailer or a
+ * cross-reference stream.
+ * @param {Buffer} pdf
+ */
+function readPdfTrailer(pdf) {
+  const text = pdf.toString('latin1');
+  const startxrefIndex = text.lastIndexOf('startxref');
+  if (startxrefIndex === -1) throw new Error('Not a PDF file');
+  const startxref = Number(
+    text
+      .slice(startxrefIndex + 9)
+      .trim()
+      .split(/\s/)[0]
+  );
+  const xrefStream = !text.startsWith('xref', startxref);
+  const dictionaryStart = xrefStream
+    ? text.indexOf('<<', startxref)
+    : text.indexOf('<<', text.indexOf('trailer', startxref));
+  const trailer = readPdfDictionary(text, dictionaryStart);
+  if (/\/Encrypt\b/.test(trailer)) throw new Error('Encrypted PDFs are not supported');
+  const size = trailer.match(/\/Size\s+(\d+)/);
+  const root = trailer.match(/\/Root\s+(\d+\s+\d+\s+R)/);
+  if (!size || !root) throw new Error('Invalid PDF trailer');
+  return {
+    size: Number(size[1]),
+    root: root[1],
+    infoRef: trailer.match(/\/Info\s+(\d+\s+\d+)\s+R/)?.[1],
+    id: trailer.match(/\/ID\s*(\[[^\]]*\])/)?.[1],
+    startxref,
+    xrefStream,
+  };
+}
+
+/**
+ * @param {string} text
+ * @param {number} start Index of the opening <<
+ */
+function readPdfDictionary(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length - 1; i++) {
+    if (text.startsWith('<<', i)) {
+      depth++;
+      i++;
+    } else if (text.startsWith('>>', i)) {
+      depth--;
+      i++;
+      if (!depth) return text.slice(start, i + 1);
+    }
+  }
+  throw new Error('Invalid PDF dictionary');
+}
+
+/**
+ * UTF-16BE hexadecimal string, for non-ASCII characters
+ * @param {string} text
+ */
+function encodePdfString(text) {
+  const utf16 = Buffer.from(`\uFEFF${text}`, 'utf16le').swap16();
+  return `<${utf16.toString('hex').toUpperCase()}>`;
+}
+
+/**
+ * @param {string} string Literal or hexadecimal string
+ */
+function decodePdfString(string) {
+  let bytes;
+  if (string.startsWith('<')) {
+    bytes = Buffer.from(string.slice(1, -1).replace(/\s/g, ''), 'hex');
+  } else {
+    bytes = Buffer.from(
+      string.slice(1, -1).replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (_, escape) => {
+        const chars = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        if (/^[0-7]/.test(escape)) return String.fromCharCode(parseInt(escape, 8));
+        return chars[escape] || escape;
+      }),
+      'latin1'
+    );
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return Buffer.from(bytes.subarray(2)).swap16().toString('utf16le');
+  }
+  return bytes.toString('latin1');
+}
+
+/**
+ * @param {string} name
+ */
+function encodePdfName(name) {
+  return name.replace(
+    /[^!-~]|[#/()<>[\]{}%]/g,
+    (char) => `#${char.charCodeAt(0).toString(16).padStart(2, '0')}`
+  );
+}
+
+/**
+ * @param {string} name
+ */
+function decodePdfName(name) {
+  return name.replace(/#([0-9a-fA-F]{2})/g, (_, hex) =>
+    String.fromCharCode(parseInt(hex, 16))
+  );
+}
+
+/**
+ * @param {Date} date
+ */
+function formatPdfDate(date) {
+  return `D:${date.toISOString().slice(0, 19).replace(/[-:T]/g, '')}Z`;
+}
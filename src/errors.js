@@ -0,0 +1,67 @@
+export class ArchhiveError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ cause?: any }} [options]
+   */
+  constructor(message, options) {
+    super(message);
+    this.name = this.constructor.name;
+    this.cause = options?.cause;
+  }
+}
+
+export class InvalidUrlError extends ArchhiveError {
+  /**
+   * @param {string} url
+   */
+  constructor(url) {
+    super(`Invalid URL specified: ${url}`);
+    this.url = url;
+  }
+}
+
+export class InvalidOptionError extends ArchhiveError {
+  /**
+   * @param {string} option
+   * @param {string} message
+   * @param {{ cause?: any }} [options]
+   */
+  constructor(option, message, options) {
+    super(message, options);
+    this.option = option;
+  }
+}
+
+export class ActionError extends ArchhiveError {
+  /**
+   * @param {number} step Position of the action in the list, starting at 1
+   * @param {string} action Description of the action, e.g. click "#accept"
+   * @param {any} cause
+   */
+  constructor(step, action, cause) {
+    super(
+      `Action ${step} (${action}) failed${cause?.message ? `: ${cause.message}` : ''}`,
+      {
+        cause,
+      }
+    );
+    this.step = step;
+    this.action = action;
+  }
+}
+
+export class ArchiverError extends ArchhiveError {
+  /**
+   * @param {string} archiver Name of the archive service, e.g. archive.org
+   * @param {string} url
+   * @param {any} cause
+   */
+  constructor(archiver, url, cause) {
+    super(
+      `${archiver} failed to archive ${url}${cause?.message ? `: ${cause.message}` : ''}`,
+      { cause }
+    );
+    this.archiver = archiver;
+    this.url = url;
+  }
+}
@@ -1,38 +1,80 @@
-import { spawnSync } from 'child_process';
+import { readEmbeddedMetadata, writeEmbeddedMetadata } from './embed.js';
+import { FORMATS, getFilenames } from './formats.js';
+import { VERSION, warn } from './util.js';
+
 /**
- *
+ * Embeds EXIF, IPTC and XMP metadata in the saved images, and an info dictionary in PDFs,
+ * then reads it back to check that it was written.
  * @param {import('./types').TaskContext} ctx
  * @param {import('./types').Task} task
  */
 export default async function addExifMetadata(ctx, task) {
-  task.output = 'Adding exif metadata';
-  const date = new Date();
-  try {
-    spawnSync('exiftool', [
-      // Enable newlines and interpret " literally
-      '-ec',
-      // Remove exif tags from Chrome's screenshotting process
-      '-all=',
-      // Remove exiftool version number
-      '-XMPToolkit=',
-      // Escape backslashes
-      `-Description=${ctx.pageTitle.replace(/\\/g, '\\\\')} \\n ${Object.values(
-        ctx.urls
-      ).join(' \\n ')}${ctx.opts.exifComment ? ` \n ${ctx.opts.exifComment}` : ``}`,
-      ...(ctx.opts.exifKeywords || '')
-        .split(',')
-        .filter(Boolean)
-        .map((keyword) => `-keywords=${keyword}`),
-      `-CreatorWorkURL=${ctx.urls.url}`,
-      `-DateTimeOriginal=${date.getUTCFullYear()}:${String(
-        date.getUTCMonth() + 1
-      ).padStart(2, '0')}:${String(date.getUTCDate()).padStart(2, '0')} 00:00:00`,
-      '-overwrite_original',
-      ctx.filename,
-      // Creator?
-      // Author?
-    ]);
-  } catch (e) {
-    task.skip('exiftool not installed, skipping');
+  const files = ctx.files
+    .filter((file) => FORMATS[file.format].metadata)
+    .flatMap(getFilenames);
+  if (!files.length) {
+    return task.skip('No files support metadata');
   }
+
+  const metadata = getEmbeddedMetadata(ctx);
+  for (const filename of files) {
+    task.output = `Adding metadata to ${filename}`;
+    try {
+      await writeEmbeddedMetadata(filename, metadata);
+      const mismatches = compareMetadata(metadata, await readEmbeddedMetadata(filename));
+      if (mismatches.length) {
+        warn(ctx, `Metadata of ${filename} did not round-trip: ${mismatches.join(', ')}`);
+      }
+    } catch (e) {
+      warn(ctx, `Could not add metadata to ${filename}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * @param {import('./types').TaskContext} ctx
+ * @returns {import('./types').EmbeddedMetadata}
+ */
+export function getEmbeddedMetadata(ctx) {
+  const archives = ctx.archivers
+    .filter((archiver) => ctx.urls[archiver.urlKey])
+    .map((archiver) => ({
+      name: archiver.name,
+      url: ctx.urls[archiver.urlKey],
+      shortUrl: ctx.urls[archiver.shortUrlKey],
+    }));
+  const description = [
+    ctx.pageTitle,
+    ctx.urls.url,
+    ...archives.flatMap(({ url, shortUrl }) => [url, shortUrl]).filter(Boolean),
+    ctx.opts.exifComment,
+  ]
+    .filter(Boolean)
+    .join('\n');
+  return {
+    title: ctx.pageTitle,
+    description: ctx.ocrText ? `${description}\n\n${ctx.ocrText}` : description,
+    creator: ctx.metadata?.author,
+    source: ctx.urls.url,
+    keywords: (ctx.opts.exifKeywords || '')
+      .split(',')
+      .map((keyword) => keyword.trim())
+      .filter(Boolean),
+    date: ctx.capturedAt ? new Date(ctx.capturedAt) : new Date(),
+    creatorTool: `archhive ${VERSION}`,
+    archives,
+  };
+}
+
+/**
+ * @param {import('./types').EmbeddedMetadata} expected
+ * @param {Partial<import('./types').EmbeddedMetadata>} actual
+ * @returns {string[]} Names of the fields that differ
+ */
+function compareMetadata(expected, actual) {
+  const serialize = (/** @type {any} */ value) =>
+    JSON.stringify(value instanceof Date ? Math.floor(value.getTime() / 1000) : value);
+  return Object.keys(expected).filter(
+    (key) => serialize(expected[key]) !== serialize(actual[key])
+  );
 }
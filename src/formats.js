@@ -0,0 +1,236 @@
+import { execFile } from 'child_process';
+import cwebp from 'cwebp-bin';
+import { rename, unlink, writeFile } from 'fs/promises';
+import mozjpeg from 'mozjpeg';
+import optipng from 'optipng-bin';
+import { extname } from 'path';
+import { promisify } from 'util';
+import { InvalidOptionError } from './errors.js';
+import { captureStitched } from './stitch.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Files that can be saved from the page once the header is added, by extension
+ * @type {Record<string, import('./types').OutputFormat>}
+ */
+export const FORMATS = {
+  jpg: {
+    image: true,
+    metadata: true,
+    // Maximum dimension of a JPEG
+    maxHeight: 65535,
+    capture: imageCapture('jpeg'),
+    optimize: optimizeJpeg,
+  },
+  png: {
+    image: true,
+    metadata: true,
+    capture: imageCapture('png'),
+    optimize: optimizePng,
+  },
+  webp: {
+    image: true,
+    metadata: true,
+    maxHeight: 16383,
+    capture: captureWebp,
+  },
+  pdf: {
+    image: false,
+    metadata: true,
+    capture: capturePdf,
+  },
+  mhtml: {
+    image: false,
+    metadata: false,
+    capture: captureMhtml,
+  },
+};
+
+/**
+ * @param {string} [formats] Extensions separated by commas, jpg by default
+ * @returns {string[]}
+ */
+export function getFormats(formats = 'jpg') {
+  const list = formats
+    .split(',')
+    .map((format) => format.trim().toLowerCase())
+    .filter(Boolean);
+  for (const format of list) {
+    if (!FORMATS.hasOwnProperty(format)) {
+      throw new InvalidOptionError(
+        'format',
+        `Unknown format: ${format} (available: ${Object.keys(FORMATS).join(', ')})`
+      );
+    }
+  }
+  return list.length ? [...new Set(list)] : ['jpg'];
+}
+
+/**
+ * Files of a screenshot, more than one if a stitched screenshot was split into pages
+ * @param {import('./types').SavedFile} file
+ */
+export function getFilenames(file) {
+  return file.pages || [file.filename];
+}
+
+/**
+ * @param {import('./types').TaskContext} ctx
+ * @param {any} page
+ * @param {import('./types').SavedFile} file
+ * @param {{ type: 'jpeg' | 'png', maxHeight?: number, filename?: string }} options
+ * `filename` defaults to the file's name
+ * @returns {Promise<string[]>} Files of every page
+ */
+async function captureImage(ctx, page, file, { type, maxHeight = Infinity, filename }) {
+  filename = filename || file.filename;
+  const { clip } = file;
+  const quality = type === 'jpeg' ? { quality: ctx.opts.screenshotQuality } : {};
+  if (clip) {
+    // Regions outside of the viewport are blank, so make it as tall as the page like fullPage does
+    const viewport = page.viewport();
+    await page.setViewport({
+      ...viewport,
+      height: Math.max(viewport.height, Math.ceil(clip.y + clip.height)),
+    });
+    await page.screenshot({ path: filename, type, clip, ...quality });
+    await page.setViewport(viewport);
+  } else if (ctx.opts.screenshot === 'fullpage') {
+    await page.screenshot({ path: filename, type, fullPage: true, ...quality });
+  } else if (ctx.opts.screenshot === 'stitched') {
+    const images = await captureStitched(page, {
+      maxHeight: Math.min(ctx.opts.pageHeight || Infinity, maxHeight),
+    });
+    const filenames = images.map((image, i) => pageFilename(filename, i));
+    for (const [i, image] of images.entries()) {
+      // JPEGs are compressed by the optimizer
+      if (type === 'jpeg') image.quality(100);
+      await image.writeAsync(filenames[i]);
+    }
+    return filenames;
+  }
+  return [filename];
+}
+
+/**
+ * @param {'jpeg' | 'png'} type
+ * @returns {import('./types').OutputFormat['capture']}
+ */
+function imageCapture(type) {
+  return async (ctx, page, file) => {
+    const filenames = await captureImage(ctx, page, file, {
+      type,
+      maxHeight: FORMATS[file.format].maxHeight,
+    });
+    if (filenames.length > 1) file.pages = filenames;
+  };
+}
+
+/**
+ * File of a page of a split screenshot, e.g. "title (page 2).jpg".
+ * The first page is saved under the file's name.
+ * @param {string} filename
+ * @param {number} index
+ */
+function pageFilename(filename, index) {
+  if (!index) return filename;
+  const extension = extname(filename);
+  return `${filename.slice(0, -extension.length)} (page ${index + 1})${extension}`;
+}
+
+/**
+ * @param {import('./types').TaskContext} ctx
+ * @param {import('./types').SavedFile} file
+ */
+async function optimizeJpeg(ctx, file) {
+  for (const filename of getFilenames(file)) {
+    const filenameTemp = `${filename}.tmp`;
+    await execFileAsync(
+      mozjpeg,
+      [
+        '-quality',
+        String(ctx.opts.screenshotQuality),
+        '-outfile',
+        filenameTemp,
+        filename,
+      ],
+      { windowsHide: true }
+    );
+    await rename(filenameTemp, filename);
+  }
+}
+
+/**
+ * Lossless, the file is optimized in place
+ * @param {import('./types').TaskContext} ctx
+ * @param {import('./types').SavedFile} file
+ */
+async function optimizePng(ctx, file) {
+  for (const filename of getFilenames(file)) {
+    await execFileAsync(optipng, ['-quiet', '-o2', filename], { windowsHide: true });
+  }
+}
+
+/**
+ * Chrome can't take WebP screenshots, so a PNG is encoded instead.
+ * @param {import('./types').TaskContext} ctx
+ * @param {any} page
+ * @param {import('./types').SavedFile} file
+ */
+async function captureWebp(ctx, page, file) {
+  const pngFilenames = await captureImage(ctx, page, file, {
+    type: 'png',
+    maxHeight: FORMATS.webp.maxHeight,
+    filename: `${file.filename}.tmp.png`,
+  });
+  const filenames = pngFilenames.map((pngFilename, i) => pageFilename(file.filename, i));
+  try {
+    for (const [i, pngFilename] of pngFilenames.entries()) {
+      await execFileAsync(
+        cwebp,
+        [
+          '-quiet',
+          '-q',
+          String(ctx.opts.screenshotQuality),
+          pngFilename,
+          '-o',
+          filenames[i],
+        ],
+        { windowsHide: true }
+      );
+    }
+  } finally {
+    await Promise.all(pngFilenames.map((pngFilename) => unlink(pngFilename)));
+  }
+  if (filenames.length > 1) file.pages = filenames;
+}
+
+/**
+ * Saves the page, including the header, as a PDF with selectable text.
+ * @param {import('./types').TaskContext} ctx
+ * @param {any} page
+ * @param {import('./types').SavedFile} file
+ */
+async function capturePdf(ctx, page, { filename, width }) {
+  // page.pdf() uses the print stylesheet unless told otherwise
+  if (!ctx.opts.print) await page.emulateMediaType('screen');
+  // The width of the file is in device pixels
+  const { deviceScaleFactor } = page.viewport();
+  await page.pdf({
+    path: filename,
+    width: `${width / deviceScaleFactor}px`,
+    printBackground: true,
+  });
+}
+
+/**
+ * Saves the DOM, including the header, and its resources in a single MHTML file.
+ * @param {import('./types').TaskContext} ctx
+ * @param {any} page
+ * @param {import('./types').SavedFile} file
+ */
+async function captureMhtml(ctx, page, { filename }) {
+  const { data } = await page._client.send('Page.captureSnapshot', { format: 'mhtml' });
+  await writeFile(filename, data);
+}
@@ -0,0 +1,159 @@
+import { createHash, randomBytes } from 'crypto';
+import { createReadStream } from 'fs';
+import { appendFile, readFile } from 'fs/promises';
+import { join } from 'path';
+import { getArchivers } from './archive/archivers.js';
+
+/** JSON-lines file in the output directory containing one entry per capture */
+export const HISTORY_FILENAME = '.archhive_history.jsonl';
+
+/** Options whose values are credentials, which are not written to the history */
+const SECRET_OPTIONS = ['aoSecretKey', 'permaApiKey', 'header'];
+
+/**
+ * Separates the secret options and their values from CLI arguments.
+ * @param {string[]} argv
+ * @returns {{ argv: string[], secretArgv: string[] }}
+ */
+export function splitSecretArgv(argv) {
+  const publicArgv = [];
+  const secretArgv = [];
+  for (let i = 0; i < argv.length; i++) {
+    const [option, value] = argv[i].split('=');
+    const name = option
+      .replace(/^--/, '')
+      .replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    if (!option.startsWith('--') || !SECRET_OPTIONS.includes(name)) {
+      publicArgv.push(argv[i]);
+    } else if (value !== undefined || i === argv.length - 1) {
+      secretArgv.push(argv[i]);
+    } else {
+      // The value is the next argument
+      secretArgv.push(argv[i], argv[++i]);
+    }
+  }
+  return { argv: publicArgv, secretArgv };
+}
+
+/**
+ * Records a capture in the history of its output directory.
+ * @param {string} outputDir
+ * @param {import('./types').ArchiveResult} result
+ * @param {string[]} argv CLI arguments that reproduce the capture from the current directory.
+ * Secret options are left out, and only their names are recorded.
+ * @returns {Promise<import('./types').HistoryEntry>}
+ */
+export async function addHistoryEntry(outputDir, result, argv) {
+  const { argv: publicArgv, secretArgv } = splitSecretArgv(argv);
+  /** @type {import('./types').HistoryEntry} */
+  const entry = {
+    id: randomBytes(4).toString('hex'),
+    timestamp: new Date().toISOString(),
+    url: result.url,
+    finalUrl: result.finalUrl,
+    pageTitle: result.pageTitle,
+    filename: result.filename,
+    // The screenshot may not exist, e.g. with --screenshot none
+    sha256: await hashFile(result.filename).catch(() => undefined),
+    argv: publicArgv,
+    cwd: process.cwd(),
+  };
+  if (secretArgv.length) {
+    entry.omittedOptions = [
+      ...new Set(
+        secretArgv.filter((arg) => arg.startsWith('--')).map((arg) => arg.split('=')[0])
+      ),
+    ];
+  }
+  for (const archiver of getArchivers('all')) {
+    for (const key of [archiver.urlKey, archiver.shortUrlKey]) {
+      if (key && result[key]) entry[key] = result[key];
+    }
+  }
+  await appendFile(join(outputDir, HISTORY_FILENAME), `${JSON.stringify(entry)}\n`);
+  return entry;
+}
+
+/**
+ * Reads all history entries of an output directory, oldest first.
+ * @param {string} outputDir
+ * @returns {Promise<import('./types').HistoryEntry[]>}
+ */
+export async function readHistory(outputDir) {
+  let text;
+  try {
+    text = await readFile(join(outputDir, HISTORY_FILENAME), 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // Ignore entries corrupted by an interrupted write
+    }
+  }
+  return entries;
+}
+
+/**
+ * Finds entries whose URLs (including archive links) or title contain the query (case-insensitive).
+ * @param {import('./types').HistoryEntry[]} entries
+ * @param {string} query
+ */
+export function searchHistory(entries, query) {
+  query = query.toLowerCase();
+  return entries.filter((entry) =>
+    Object.keys(entry).some(
+      (key) =>
+        (key === 'pageTitle' || /url$/i.test(key)) &&
+        String(entry[key]).toLowerCase().includes(query)
+    )
+  );
+}
+
+/**
+ * Finds an entry by its ID, or the latest capture of a URL.
+ * @param {import('./types').HistoryEntry[]} entries
+ * @param {string} idOrUrl
+ */
+export function findHistoryEntry(entries, idOrUrl) {
+  return (
+    entries.find((entry) => entry.id === idOrUrl) ||
+    entries
+      .slice()
+      .reverse()
+      .find((entry) => entry.url === idOrUrl || entry.finalUrl === idOrUrl)
+  );
+}
+
+/**
+ * Finds the latest capture of a URL made less than `maxAge` milliseconds ago.
+ * @param {import('./types').HistoryEntry[]} entries
+ * @param {string} url
+ * @param {number} maxAge
+ */
+export function findRecentHistoryEntry(entries, url, maxAge) {
+  const entry = findHistoryEntry(entries, url);
+  if (entry && Date.now() - new Date(entry.timestamp).getTime() <= maxAge) {
+    return entry;
+  }
+}
+
+/**
+ * @param {string} filename
+ * @returns {Promise<string>}
+ */
+export function hashFile(filename) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(filename)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
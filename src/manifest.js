@@ -0,0 +1,279 @@
+import { createPrivateKey, createPublicKey, sign, verify } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import { readdir, readFile, stat, writeFile } from 'fs/promises';
+import { basename, dirname, join, resolve } from 'path';
+import { InvalidOptionError } from './errors.js';
+import { getFilenames } from './formats.js';
+import { hashFile } from './history.js';
+import { requestTimestamp, verifyTimestampToken } from './timestamp.js';
+import { VERSION, warn } from './util.js';
+
+const MANIFEST_EXTENSION = '.manifest.json';
+
+/**
+ * Records the SHA-256 hash of every file of the capture, the archive links and the capture
+ * time in `<title>.manifest.json`, signed with --sign-key and timestamped by --tsa-url.
+ * @param {import('./types').TaskContext} ctx
+ * @param {import('./types').Task} task
+ */
+export default async function writeManifest(ctx, task) {
+  const filenames = [
+    ...ctx.files.flatMap(getFilenames),
+    ...(ctx.metadataFiles || []),
+  ].filter((filename) => existsSync(filename));
+  if (!filenames.length) {
+    return task.skip('No files saved');
+  }
+
+  task.output = 'Hashing files';
+  /** @type {import('./types').Manifest} */
+  const manifest = {
+    version: 1,
+    tool: `archhive ${VERSION}`,
+    url: ctx.urls.url,
+    finalUrl: ctx.finalUrl,
+    pageTitle: ctx.pageTitle,
+    capturedAt: ctx.capturedAt,
+    archiveUrls: {},
+    files: [],
+  };
+  for (const archiver of ctx.archivers) {
+    const url = ctx.urls[archiver.urlKey];
+    if (url) manifest.archiveUrls[archiver.name] = url;
+  }
+  for (const filename of filenames) {
+    manifest.files.push({
+      // Relative to the manifest, so that the files can be moved together
+      filename: basename(filename),
+      sha256: await hashFile(filename),
+      size: (await stat(filename)).size,
+    });
+  }
+  // What is signed and timestamped
+  const payload = JSON.stringify(manifest);
+
+  /** @type {import('./types').ManifestFile} */
+  const manifestFile = { manifest };
+  if (ctx.opts.signKey) {
+    task.output = 'Signing manifest';
+    manifestFile.signature = signPayload(payload, readSigningKey(ctx.opts.signKey));
+  }
+  if (ctx.opts.tsaUrl) {
+    task.output = `Requesting timestamp from ${ctx.opts.tsaUrl}`;
+    try {
+      const { token, time, tsa } = await requestTimestamp(ctx.opts.tsaUrl, payload);
+      manifestFile.timestamp = {
+        tsaUrl: ctx.opts.tsaUrl,
+        tsa,
+        time: time.toISOString(),
+        token: token.toString('base64'),
+      };
+    } catch (e) {
+      warn(ctx, `Could not timestamp the manifest: ${e.message}`);
+    }
+  }
+
+  ctx.manifestFilename = join(ctx.opts.outputDir, `${ctx.basename}${MANIFEST_EXTENSION}`);
+  await writeFile(ctx.manifestFilename, `${JSON.stringify(manifestFile, null, 2)}\n`);
+}
+
+/**
+ * Checks the files, signature and timestamp of a manifest.
+ * @param {string} filename The manifest, or a file listed in a manifest of its directory
+ * @param {{ publicKey?: string, tsaCert?: string }} [options] Files of the public key
+ * that must have signed the manifest, and of the TSA certificate that must have timestamped it
+ * @returns {Promise<import('./types').VerifyResult>}
+ */
+export async function verifyManifest(filename, options = {}) {
+  const { publicKey, tsaCert } = options;
+  const manifestFilename = await findManifest(resolve(filename));
+  const {
+    manifest,
+    signature,
+    timestamp,
+  } = /** @type {import('./types').ManifestFile} */ (JSON.parse(
+    await readFile(manifestFilename, 'utf8')
+  ));
+  const payload = JSON.stringify(manifest);
+  /** @type {import('./types').VerifyCheck[]} */
+  const checks = [];
+
+  for (const file of manifest.files) {
+    const path = join(dirname(manifestFilename), file.filename);
+    let sha256;
+    try {
+      sha256 = await hashFile(path);
+    } catch (e) {
+      checks.push({ name: file.filename, ok: false, detail: 'missing' });
+      continue;
+    }
+    checks.push(
+      sha256 === file.sha256
+        ? { name: file.filename, ok: true, detail: `SHA-256 ${sha256}` }
+        : { name: file.filename, ok: false, detail: 'modified (hash mismatch)' }
+    );
+  }
+
+  if (signature) {
+    checks.push(verifySignature(payload, signature, publicKey));
+  } else {
+    checks.push({
+      name: 'signature',
+      // Only required when the signer is known
+      ok: !publicKey,
+      detail: 'not signed',
+    });
+  }
+
+  if (timestamp) {
+    try {
+      const { time, tsa } = verifyTimestampToken(
+        Buffer.from(timestamp.token, 'base64'),
+        payload,
+        { certificate: tsaCert && readKeyFile('tsaCert', tsaCert) }
+      );
+      const detail = `${time.toISOString()} by ${tsa || timestamp.tsaUrl}`;
+      checks.push(
+        tsaCert
+          ? { name: 'timestamp', ok: true, detail }
+          : {
+              name: 'timestamp',
+              // Any certificate can be included in a token issued for modified files
+              ok: false,
+              unverified: true,
+              detail: `${detail}, signed by the certificate included in the token (use --tsa-cert to check the TSA)`,
+            }
+      );
+    } catch (e) {
+      checks.push({ name: 'timestamp', ok: false, detail: e.message });
+    }
+  } else {
+    checks.push({ name: 'timestamp', ok: !tsaCert, detail: 'no trusted timestamp' });
+  }
+
+  return {
+    manifest: manifestFilename,
+    url: manifest.url,
+    capturedAt: manifest.capturedAt,
+    tool: manifest.tool,
+    archiveUrls: manifest.archiveUrls,
+    ok: checks.every((check) => check.ok),
+    checks,
+  };
+}
+
+/**
+ * @param {string} filename
+ */
+async function findManifest(filename) {
+  if (filename.endsWith(MANIFEST_EXTENSION)) return filename;
+  const dir = dirname(filename);
+  for (const name of await readdir(dir)) {
+    if (!name.endsWith(MANIFEST_EXTENSION)) continue;
+    try {
+      const { manifest } = JSON.parse(await readFile(join(dir, name), 'utf8'));
+      if (manifest.files.some((file) => file.filename === basename(filename))) {
+        return join(dir, name);
+      }
+    } catch (e) {
+      // Not a manifest
+    }
+  }
+  throw new Error(`No manifest found for ${filename}`);
+}
+
+/**
+ * @param {string} keyFile PEM private key for --sign-key
+ */
+export function readSigningKey(keyFile) {
+  const pem = readKeyFile('signKey', keyFile);
+  try {
+    return createPrivateKey(pem);
+  } catch (e) {
+    throw new InvalidOptionError(
+      'signKey',
+      `Invalid private key: ${keyFile} (${e.message})`,
+      {
+        cause: e,
+      }
+    );
+  }
+}
+
+/**
+ * @param {string} payload
+ * @param {import('crypto').KeyObject} key
+ * @returns {import('./types').ManifestFile['signature']}
+ */
+function signPayload(payload, key) {
+  return {
+    algorithm: key.asymmetricKeyType,
+    publicKey: /** @type {string} */ (createPublicKey(key).export({
+      type: 'spki',
+      format: 'pem',
+    })),
+    value: sign(getSignatureHash(key), Buffer.from(payload), key).toString('base64'),
+  };
+}
+
+/**
+ * @param {string} payload
+ * @param {import('./types').ManifestFile['signature']} signature
+ * @param {string} [publicKeyFile] Expected signer
+ * @returns {import('./types').VerifyCheck}
+ */
+function verifySignature(payload, signature, publicKeyFile) {
+  const key = createPublicKey(signature.publicKey);
+  if (publicKeyFile) {
+    const expected = createPublicKey(readKeyFile('publicKey', publicKeyFile));
+    const der = (/** @type {any} */ k) => k.export({ type: 'spki', format: 'der' });
+    if (!der(key).equals(der(expected))) {
+      return { name: 'signature', ok: false, detail: `not signed by ${publicKeyFile}` };
+    }
+  }
+  const valid = verify(
+    getSignatureHash(key),
+    Buffer.from(payload),
+    key,
+    Buffer.from(signature.value, 'base64')
+  );
+  if (!valid) {
+    return { name: 'signature', ok: false, detail: 'invalid, the manifest was modified' };
+  }
+  if (!publicKeyFile) {
+    return {
+      name: 'signature',
+      // Modified files can be signed again with another key
+      ok: false,
+      unverified: true,
+      detail: `${signature.algorithm}, with the key included in the manifest (use --public-key to check the signer)`,
+    };
+  }
+  return {
+    name: 'signature',
+    ok: true,
+    detail: `${signature.algorithm}, signed by ${publicKeyFile}`,
+  };
+}
+
+/**
+ * Ed25519 and Ed448 keys hash the data themselves
+ * @param {import('crypto').KeyObject} key
+ */
+function getSignatureHash(key) {
+  return ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+}
+
+/**
+ * @param {string} option
+ * @param {string} filename
+ */
+function readKeyFile(option, filename) {
+  try {
+    return readFileSync(resolve(filename), 'utf8');
+  } catch (e) {
+    throw new InvalidOptionError(option, `Could not read ${filename} (${e.message})`, {
+      cause: e,
+    });
+  }
+}
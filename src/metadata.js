@@ -0,0 +1,161 @@
+import { writeFile } from 'fs/promises';
+
+/**
+ * Extracts the article text, metadata and outbound links of a page. Must be called before
+ * the header is added. On archive.org and archive.today snapshots, links are converted back to
+ * the original URLs.
+ * @param {any} page
+ * @param {{ isAtUrl: boolean }} options
+ * @returns {Promise<import('./types').PageMetadata>}
+ */
+export function extractMetadata(page, { isAtUrl }) {
+  return page.evaluate((isAtUrl) => {
+    // archive.today keeps the original page in .body, without its <head>
+    const root = (isAtUrl && document.querySelector('.body')) || document.body;
+
+    /**
+     * @param {string} url
+     */
+    function unarchiveUrl(url) {
+      return url.replace(/^https?:\/\/web\.archive\.org\/web\/\d+[a-z_]*\//, '');
+    }
+
+    /**
+     * @param {string} selector
+     */
+    function getMeta(selector) {
+      const elem = document.querySelector(selector);
+      return elem?.getAttribute('content')?.trim() || undefined;
+    }
+
+    const openGraph = {};
+    for (const elem of Array.from(
+      document.querySelectorAll('meta[property^="og:"], meta[property^="article:"]')
+    )) {
+      const property = elem.getAttribute('property');
+      if (!(property in openGraph)) openGraph[property] = elem.getAttribute('content');
+    }
+
+    const jsonLd = [];
+    for (const elem of Array.from(
+      document.querySelectorAll('script[type="application/ld+json"]')
+    )) {
+      try {
+        jsonLd.push(JSON.parse(elem.textContent));
+      } catch (e) {
+        // Invalid JSON-LD is common, ignore it
+      }
+    }
+    // Article-like objects, which may be nested in a @graph
+    const ldItems = jsonLd
+      .flatMap((item) => (Array.isArray(item) ? item : item['@graph'] || [item]))
+      .filter((item) => item && typeof item === 'object');
+    const ldArticle =
+      ldItems.find((item) => /Article|Posting|Report/.test(String(item['@type']))) ||
+      ldItems[0] ||
+      {};
+    const ldAuthor = [].concat(ldArticle.author || [])[0];
+
+    const article =
+      root.querySelector('article') || root.querySelector('main, [role="main"]') || root;
+    const time = article.querySelector('time[datetime]');
+
+    const links = [];
+    for (const elem of Array.from(root.querySelectorAll('a[href]'))) {
+      const anchor = /** @type {HTMLAnchorElement} */ (elem);
+      if (!/^https?:$/.test(anchor.protocol)) continue;
+      const url = unarchiveUrl(anchor.href);
+      if (links.some((link) => link.url === url)) continue;
+      links.push({ text: anchor.innerText.trim().replace(/\s+/g, ' '), url });
+    }
+
+    const canonical = /** @type {HTMLLinkElement} */ (document.querySelector(
+      'link[rel="canonical"]'
+    ));
+    return {
+      title: openGraph['og:title'] || ldArticle.headline || document.title,
+      description: getMeta('meta[name="description"]') || openGraph['og:description'],
+      author:
+        getMeta('meta[name="author"]') ||
+        openGraph['article:author'] ||
+        (typeof ldAuthor === 'string' ? ldAuthor : ldAuthor?.name) ||
+        /** @type {HTMLElement} */ (root.querySelector(
+          '[rel="author"]'
+        ))?.innerText.trim() ||
+        undefined,
+      publishedDate:
+        openGraph['article:published_time'] ||
+        ldArticle.datePublished ||
+        time?.getAttribute('datetime') ||
+        undefined,
+      modifiedDate: openGraph['article:modified_time'] || ldArticle.dateModified,
+      canonicalUrl: canonical ? unarchiveUrl(canonical.href) : undefined,
+      siteName: openGraph['og:site_name'],
+      language: document.documentElement.lang || undefined,
+      openGraph,
+      jsonLd,
+      links,
+      text: /** @type {HTMLElement} */ (article).innerText.trim(),
+    };
+  }, isAtUrl);
+}
+
+/**
+ * Saves the metadata of a capture as JSON, and as Markdown for reading and full-text search.
+ * @param {import('./types').TaskContext} ctx
+ * @param {string} basename Path without extension
+ * @returns {Promise<string[]>} The filenames
+ */
+export async function writeMetadataFiles(ctx, basename) {
+  const { text, ...metadata } = ctx.metadata;
+  const archiveUrls = {};
+  for (const archiver of ctx.archivers) {
+    const url = ctx.urls[archiver.urlKey];
+    if (url) archiveUrls[archiver.name] = url;
+  }
+  const record = {
+    url: ctx.urls.url,
+    finalUrl: ctx.finalUrl,
+    capturedAt: ctx.capturedAt,
+    archiveUrls,
+    ...metadata,
+    text,
+  };
+
+  const jsonFilename = `${basename}.json`;
+  const mdFilename = `${basename}.md`;
+  await writeFile(jsonFilename, `${JSON.stringify(record, null, 2)}\n`);
+  await writeFile(mdFilename, toMarkdown(record));
+  return [jsonFilename, mdFilename];
+}
+
+/**
+ * @param {Record<string, any>} record
+ */
+function toMarkdown(record) {
+  const lines = [`# ${record.title || record.url}`, ''];
+  /** @type {[string, string][]} */
+  const fields = [
+    ['URL', record.url],
+    ['Canonical URL', record.canonicalUrl],
+    ['Site', record.siteName],
+    ['Author', record.author],
+    ['Published', record.publishedDate],
+    ['Modified', record.modifiedDate],
+    ['Captured', record.capturedAt],
+    ...Object.entries(record.archiveUrls),
+  ];
+  for (const [name, value] of fields) {
+    if (value) lines.push(`- ${name}: ${value}`);
+  }
+  if (record.description) lines.push('', `> ${record.description}`);
+  // innerText separates paragraphs with single newlines
+  lines.push('', record.text.replace(/\n+/g, '\n\n'));
+  if (record.links.length) {
+    lines.push('', '## Links', '');
+    for (const { text, url } of record.links) {
+      lines.push(`- [${text.replace(/[[\]]/g, '\\$&') || url}](<${url}>)`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
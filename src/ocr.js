@@ -0,0 +1,74 @@
+import { execFile } from 'child_process';
+import { readFile, unlink, writeFile } from 'fs/promises';
+import { promisify } from 'util';
+import { FORMATS, getFilenames } from './formats.js';
+import { warn } from './util.js';
+
+const execFileAsync = promisify(execFile);
+
+/** Screenshot formats in order of preference, lossless first */
+const OCR_FORMATS = ['png', 'jpg', 'webp'];
+
+/**
+ * Recognizes the text of the screenshot of the first device with tesseract, so that text
+ * rendered in images is searchable. The text is added to the EXIF description, and when saving
+ * a PDF, `<title> (ocr).pdf` contains the screenshot with the text as a hidden layer.
+ * @param {import('./types').TaskContext} ctx
+ * @param {import('./types').Task} task
+ */
+export default async function recognizeText(ctx, task) {
+  const [file] = ctx.files
+    .filter((file) => FORMATS[file.format].image && file.device === ctx.files[0].device)
+    .sort((a, b) => OCR_FORMATS.indexOf(a.format) - OCR_FORMATS.indexOf(b.format));
+  if (!file) {
+    return task.skip('No screenshot to recognize');
+  }
+
+  const pdf = ctx.files.find((file) => file.format === 'pdf');
+  const outputBase = file.filename.replace(/\.\w+$/, ' (ocr)');
+  const filenames = getFilenames(file);
+  // tesseract reads a list of images from a text file
+  const listFilename = `${outputBase}.list.txt`;
+  if (filenames.length > 1) await writeFile(listFilename, filenames.join('\n'));
+
+  task.output = `Recognizing text (${ctx.opts.ocrLanguage})`;
+  try {
+    await execFileAsync(
+      'tesseract',
+      [
+        filenames.length > 1 ? listFilename : filenames[0],
+        outputBase,
+        '-l',
+        ctx.opts.ocrLanguage,
+        'txt',
+        ...(pdf ? ['pdf'] : []),
+      ],
+      // Recognizing tall screenshots takes a while
+      { timeout: 10 * 60 * 1000 }
+    );
+  } catch (e) {
+    const message =
+      e.code === 'ENOENT'
+        ? 'tesseract is not installed, skipping OCR'
+        : `OCR failed, skipping: ${e.stderr?.trim() || e.message}`;
+    warn(ctx, message);
+    return task.skip(message);
+  } finally {
+    if (filenames.length > 1) await unlink(listFilename).catch(() => {});
+  }
+
+  ctx.ocrText = (await readFile(`${outputBase}.txt`, 'utf8'))
+    // Page separators
+    .replace(/\f/g, '')
+    .trim();
+  await unlink(`${outputBase}.txt`);
+  if (pdf) {
+    ctx.files.push({
+      format: 'pdf',
+      device: file.device,
+      filename: `${outputBase}.pdf`,
+      width: file.width,
+      height: file.height,
+    });
+  }
+}
@@ -0,0 +1,148 @@
+import { InvalidOptionError } from './errors.js';
+import { formatDate, parseDuration } from './util.js';
+
+/**
+ * Answers used in non-interactive mode (or without a prompt callback) when no policy is
+ * specified
+ * @type {Required<Pick<import('./types').ArchhiveOptions, 'onArchiveFailure' | 'onCaptcha' | 'onExistingSnapshot'>>}
+ */
+export const DEFAULT_POLICIES = {
+  onArchiveFailure: 'fail',
+  onCaptcha: 'fail',
+  onExistingSnapshot: 'use',
+};
+
+const ARCHIVE_FAILURE_POLICY = /^(?:retry(?::(\d+))?|skip|fail)$/;
+
+/** Age after which snapshots are renewed when --max-age is not specified */
+const DEFAULT_MAX_AGE = parseDuration('1y');
+
+/**
+ * @param {import('./types').ArchhiveOptions} opts
+ */
+export function validatePolicies(opts) {
+  if (opts.maxAge && Number.isNaN(parseDuration(opts.maxAge))) {
+    throw new InvalidOptionError(
+      'maxAge',
+      `Invalid --max-age: ${opts.maxAge} (expected a number followed by s, m, h, d, w or y, e.g. 30d)`
+    );
+  }
+  if (opts.onArchiveFailure && !ARCHIVE_FAILURE_POLICY.test(opts.onArchiveFailure)) {
+    throw new InvalidOptionError(
+      'onArchiveFailure',
+      `Invalid --on-archive-failure policy: ${opts.onArchiveFailure} (expected retry:N, skip or fail)`
+    );
+  }
+  if (opts.onCaptcha && !['use-existing', 'fail'].includes(opts.onCaptcha)) {
+    throw new InvalidOptionError(
+      'onCaptcha',
+      `Invalid --on-captcha policy: ${opts.onCaptcha} (expected use-existing or fail)`
+    );
+  }
+  if (opts.onExistingSnapshot && !['use', 'renew'].includes(opts.onExistingSnapshot)) {
+    throw new InvalidOptionError(
+      'onExistingSnapshot',
+      `Invalid --on-existing-snapshot policy: ${opts.onExistingSnapshot} (expected use or renew)`
+    );
+  }
+}
+
+/**
+ * Decides what to do after an archiver failed.
+ * @param {import('./types').TaskContext} ctx
+ * @param {string} site
+ * @param {number} failures Number of failed attempts so far
+ * @returns {Promise<'retry' | 'skip' | 'fail'>}
+ */
+export async function onArchiveFailure(ctx, site, failures) {
+  const policy = getPolicy(ctx, 'onArchiveFailure');
+  if (policy) {
+    const [, retries] = policy.match(ARCHIVE_FAILURE_POLICY);
+    if (policy.startsWith('retry')) {
+      // "retry" without a count retries once
+      return failures <= Number(retries ?? 1) ? 'retry' : 'fail';
+    }
+    return /** @type {'skip' | 'fail'} */ (policy);
+  }
+
+  const retry = (
+    await ctx.prompt({
+      type: 'confirm',
+      message: `${site} failed to archive ${ctx.opts.url}. Retry?`,
+      name: 'retry',
+      initial: true,
+    })
+  ).retry;
+  return retry ? 'retry' : 'fail';
+}
+
+/**
+ * Decides whether an existing snapshot should be used when a new one could not be created.
+ * @param {import('./types').TaskContext} ctx
+ * @param {'captcha' | 'failure'} reason
+ * @param {string} message Question shown when prompting
+ * @returns {Promise<boolean>}
+ */
+export async function useExistingSnapshot(ctx, reason, message) {
+  const policy =
+    reason === 'captcha'
+      ? getPolicy(ctx, 'onCaptcha')
+      : getPolicy(ctx, 'onExistingSnapshot');
+  if (policy) {
+    return policy === 'use-existing' || policy === 'use';
+  }
+
+  return !!(
+    await ctx.prompt({
+      type: 'confirm',
+      message,
+      name: 'continue',
+      initial: true,
+    })
+  ).continue;
+}
+
+/**
+ * Decides whether a new snapshot should be created when an archive service already has one.
+ * @param {import('./types').TaskContext} ctx
+ * @param {string} site
+ * @param {string} snapshotUrl
+ * @param {Date} snapshotDate
+ * @returns {Promise<boolean>}
+ */
+export async function renewSnapshot(ctx, site, snapshotUrl, snapshotDate) {
+  if (ctx.opts.renew === 'no') return false;
+
+  const outdated = Date.now() - snapshotDate.getTime() > getMaxAge(ctx.opts);
+  if (ctx.opts.renew === 'manual' && ctx.prompt && !ctx.opts.nonInteractive) {
+    return !!(
+      await ctx.prompt({
+        type: 'confirm',
+        message: `${site} already has a snapshot from ${formatDate(
+          snapshotDate
+        )} (${snapshotUrl}). Would you like to create a new one?`,
+        name: 'renew',
+        initial: outdated,
+      })
+    ).renew;
+  }
+  return outdated;
+}
+
+/**
+ * @param {import('./types').ArchhiveOptions} opts
+ * @returns {number} Maximum age of a snapshot in milliseconds before it is renewed
+ */
+export function getMaxAge(opts) {
+  return opts.maxAge ? parseDuration(opts.maxAge) : DEFAULT_MAX_AGE;
+}
+
+/**
+ * @param {import('./types').TaskContext} ctx
+ * @param {keyof typeof DEFAULT_POLICIES} name
+ * @returns {string | undefined} undefined if the user should be prompted
+ */
+function getPolicy(ctx, name) {
+  if (ctx.opts[name]) return ctx.opts[name];
+  if (ctx.opts.nonInteractive || !ctx.prompt) return DEFAULT_POLICIES[name];
+}
@@ -1,34 +1,79 @@
-import { exec } from 'child_process';
-import { rename } from 'fs/promises';
-import mozjpeg from 'mozjpeg';
 import { join } from 'path';
-import fullPageScreenshot from 'puppeteer-full-page-screenshot';
 import QRCode from 'qrcode';
 import sanitizeFilename from 'sanitize-filename';
-import { promisify } from 'util';
+import { readActions, runActions } from './actions.js';
 import { isArchiveOrgUrl, isArchiveTodayUrl, isArchiveUrl } from './archive/archivers.js';
-import { getViewport, wait } from './util.js';
-
-const execAsync = promisify(exec);
+import { addCredentials, openCaptureContext } from './auth.js';
+import { addSiteFilters } from './browser.js';
+import { handleConsent } from './consent.js';
+import { getDeviceProfiles } from './devices.js';
+import { FORMATS, getFormats } from './formats.js';
+import { InvalidOptionError } from './errors.js';
+import { extractMetadata, writeMetadataFiles } from './metadata.js';
+import { parseClip, wait, warn } from './util.js';
 
 /**
- *
+ * Takes a screenshot for every device in --device or --width. The page is loaded again for
+ * each one so that responsive layouts and lazy loading are not affected by the previous device.
  * @param {import('./types').TaskContext} ctx
  * @param {import('./types').Task} task
  */
 export default async function screenshot(ctx, task) {
-  const [width, height] = getViewport(ctx.opts.width);
   let referer;
   try {
     referer = getReferrer(ctx.opts.referrer);
   } catch (e) {
-    ctx.log?.(e.message);
+    warn(ctx, e.message);
   }
+  addSiteFilters(ctx);
+  // --actions replaces the actions of the site profile
+  const actions = ctx.opts.actions
+    ? readActions(ctx.opts.actions)
+    : ctx.siteProfile?.actions || [];
+
+  const context = await openCaptureContext(ctx);
 
-  let page = await ctx.browser.newPage();
+  const profiles = getDeviceProfiles(ctx.opts);
+  ctx.files = [];
+  try {
+    for (const profile of profiles) {
+      await screenshotDevice(ctx, task, {
+        context,
+        profile,
+        referer,
+        actions,
+        // Files are only named after the device when there are several
+        suffix: profiles.length > 1 ? ` (${profile.name})` : '',
+      });
+    }
+  } finally {
+    if (context !== ctx.browser && !ctx.opts.debug) await context.close();
+  }
+  ctx.filename = ctx.files[0]?.filename;
+
+  if (ctx.opts.debug) {
+    task.output = 'Waiting for the browser to be closed manually...';
+    await browserDisconnected(ctx.browser);
+  }
+}
+
+/**
+ * @param {import('./types').TaskContext} ctx
+ * @param {import('./types').Task} task
+ * @param {{ context: any, profile: import('./types').DeviceProfile, referer?: string, actions: import('./types').Action[], suffix: string }} options
+ */
+async function screenshotDevice(
+  ctx,
+  task,
+  { context, profile, referer, actions, suffix }
+) {
+  const { width, height, deviceScaleFactor, isMobile, hasTouch, userAgent } = profile;
+  let page = await context.newPage();
+  await addCredentials(ctx, page);
 
   await page._client.send('Emulation.clearDeviceMetricsOverride');
-  await page.setViewport({ width, height });
+  await page.setViewport({ width, height, deviceScaleFactor, isMobile, hasTouch });
+  if (userAgent) await page.setUserAgent(userAgent);
   // Need to bypass csp for the inline QR code image and custom stylesheet
   await page.setBypassCSP(true);
   await page.emulateTimezone('UTC');
@@ -37,14 +82,28 @@ export default async function screenshot(ctx, task) {
     await page.setJavaScriptEnabled(false);
   }
 
-  task.output = `Going to ${ctx.opts.url} (Viewport: ${width}x${height})`;
-  await page.goto(ctx.opts.url, { waitUntil: 'networkidle0', timeout: 60000, referer });
+  task.output = `Going to ${ctx.opts.url} (${profile.name}: ${width}x${height})`;
+  const response = await page.goto(ctx.opts.url, {
+    waitUntil: 'networkidle0',
+    timeout: 60000,
+    referer,
+  });
   if (ctx.opts.print) {
     ctx.log?.('Using print media for screenshot');
     await page.emulateMediaType('print');
   }
 
+  // Time of the first page load, recorded in the metadata and manifest
+  if (!ctx.capturedAt) ctx.capturedAt = new Date().toISOString();
+
   const actualUrl = page.url();
+  ctx.finalUrl = actualUrl;
+  ctx.redirectChain = response
+    ? response
+        .request()
+        .redirectChain()
+        .map((request) => request.url())
+    : [];
   const urlObject = new URL(actualUrl);
   const isAoUrl = isArchiveOrgUrl(urlObject);
   const isAtUrl = isArchiveTodayUrl(urlObject);
@@ -66,18 +125,43 @@ export default async function screenshot(ctx, task) {
     );
   }
 
+  if (ctx.opts.consent) {
+    await handleConsent(ctx, page, task);
+  }
+  if (actions.length) {
+    await runActions(ctx, page, actions, task);
+  }
+
   task.output = 'Ensuring all images are loaded';
   await loadAllImages(ctx, page);
 
-  task.output = 'Adding header';
-  if (!ctx.urls.archiveOrgShortUrl && !ctx.urls.archiveOrgUrl) {
-    ctx.log?.(`warn: Missing archive.org link`);
+  // The content is the same for every device
+  if (ctx.opts.metadata && !ctx.metadata) {
+    task.output = 'Extracting metadata';
+    ctx.metadata = await extractMetadata(page, { isAtUrl });
   }
-  if (!ctx.urls.archiveTodayUrl) {
-    ctx.log?.(`warn: Missing archive.today link`);
+
+  // The header is as wide as the element or region to capture
+  let target;
+  if (ctx.opts.screenshot === 'element' || ctx.opts.screenshot === 'region') {
+    target = await getTargetBox(ctx, page);
+  }
+
+  task.output = 'Adding header';
+  for (const archiver of ctx.archivers) {
+    if (!ctx.urls[archiver.urlKey] && !ctx.urls[archiver.shortUrlKey]) {
+      warn(ctx, `Missing ${archiver.name} link`);
+    }
   }
 
-  const header = await generateHeader({ urls: ctx.urls, actualUrl, originalUrl, width });
+  const header = await generateHeader({
+    urls: ctx.urls,
+    archivers: ctx.archivers,
+    actualUrl,
+    originalUrl,
+    width: target ? target.width : width,
+    loggedIn: ctx.loggedIn,
+  });
   await page.evaluate(
     ({ header, isAoUrl, isAtUrl, stylesheet }) => {
       function currentDate(date) {
@@ -151,59 +235,183 @@ export default async function screenshot(ctx, task) {
   // Wait for header reflow
   await wait(900);
 
-  task.output = 'Taking full-page screenshot';
-  const pageTitle = await page.title();
-  const screenshotFile = titleToFilename(pageTitle) + '.jpg';
-  const filename = join(ctx.opts.outputDir, screenshotFile);
-  const filenameTemp = join(ctx.opts.outputDir, screenshotFile + '.tmp');
+  /** @type {import('./types').Clip} */
+  let clip;
+  if (target) {
+    clip = await placeHeaderAbove(
+      page,
+      ctx.opts.screenshot === 'element' ? null : target,
+      ctx.opts.selector
+    );
+    if (!clip) {
+      // archive.today snapshots are replaced by the original page's HTML
+      throw new InvalidOptionError(
+        'selector',
+        `The element matching ${ctx.opts.selector} was removed while adding the header`
+      );
+    }
+  }
 
+  const pageTitle = await page.title();
+  ctx.basename = titleToFilename(pageTitle);
+  const basename = ctx.basename + suffix;
   ctx.pageTitle = pageTitle;
-  ctx.filename = filename;
+  /** @type {import('./types').SavedFile[]} */
+  const files = [];
+  for (const format of getFormats(ctx.opts.format)) {
+    if (FORMATS[format].image && ctx.opts.screenshot === 'none') continue;
+    files.push({
+      format,
+      device: profile.name,
+      filename: join(ctx.opts.outputDir, `${basename}.${format}`),
+    });
+  }
+  ctx.files.push(...files);
+
+  if (ctx.metadata && !ctx.metadataFiles && ctx.opts.debug !== 'screenshot') {
+    ctx.metadataFiles = await writeMetadataFiles(
+      ctx,
+      join(ctx.opts.outputDir, ctx.basename)
+    );
+  }
 
   if (ctx.opts.debug !== 'screenshot') {
-    const quality = ctx.opts.screenshotQuality;
-    const { pageWidth, pageHeight } = await page.evaluate(() => [
-      document.documentElement.scrollWidth,
-      document.documentElement.scrollHeight,
-    ]);
-    if (ctx.opts.screenshot === 'fullpage') {
+    const { pageWidth, pageHeight } = await page.evaluate(() => ({
+      pageWidth: document.documentElement.scrollWidth,
+      pageHeight: document.documentElement.scrollHeight,
+    }));
+    // Only this device falls back to a stitched screenshot, others may fit the limit
+    let mode = ctx.opts.screenshot;
+    if (mode === 'fullpage') {
       // Hardcoded limit in Chrome. See https://github.com/puppeteer/puppeteer/issues/359
       if (pageHeight > 16384) {
-        ctx.opts.screenshot = 'stitched';
-        ctx.log?.(
-          `warn: The page's height is ${pageHeight}px which is greater than the 'fullpage' limit of 16384px. --screenshot stitched will be used instead. Remember to manually optimize the resulting .jpg.`
+        mode = 'stitched';
+        warn(
+          ctx,
+          `The page's height is ${pageHeight}px which is greater than the 'fullpage' limit of 16384px. --screenshot stitched will be used instead.`
         );
       } else if (pageWidth > width) {
-        ctx.log?.(
-          `warn: The screenshot will be stretched to a width of ${pageWidth}px (was: ${width}px) as the page is not responsive. Use --screenshot stitched if this is undesirable.`
+        warn(
+          ctx,
+          `The screenshot will be stretched to a width of ${pageWidth}px (was: ${width}px) as the page is not responsive. Use --screenshot stitched if this is undesirable.`
         );
       }
     }
-    if (ctx.opts.screenshot === 'fullpage') {
-      await page.screenshot({
-        path: filename,
-        fullPage: true,
-        quality,
-      });
-    } else if (ctx.opts.screenshot === 'stitched') {
-      await fullPageScreenshot(page, { path: filename }, quality);
+    const dimensions = {
+      // Only full-page screenshots are stretched to the page's width
+      width:
+        (mode === 'fullpage' ? Math.max(pageWidth, width) : width) * deviceScaleFactor,
+      height: pageHeight * deviceScaleFactor,
+    };
+    const clipDimensions = clip && {
+      width: Math.round(clip.width * deviceScaleFactor),
+      height: Math.round(clip.height * deviceScaleFactor),
+      clip,
+    };
+    const captureCtx =
+      mode === ctx.opts.screenshot
+        ? ctx
+        : { ...ctx, opts: { ...ctx.opts, screenshot: mode } };
+    // Results report the dimensions of the first device
+    if (!ctx.dimensions) ctx.dimensions = clipDimensions || dimensions;
+    for (const file of files) {
+      const format = FORMATS[file.format];
+      // Only screenshots are clipped
+      Object.assign(file, format.image && clipDimensions ? clipDimensions : dimensions);
+      task.output = format.image
+        ? `Taking full-page screenshot (${file.format}, ${profile.name})`
+        : `Saving ${file.format} (${profile.name})`;
+      await format.capture(captureCtx, page, file);
+      if (format.optimize) {
+        task.output = `Optimizing ${file.format}...`;
+        await format.optimize(ctx, file);
+      }
     }
-    task.output = 'Optimizing screenshot...';
-    // Give some time to flush the screenshot to disk
-    await wait(500);
-    await execAsync(
-      `"${mozjpeg}" -quality ${ctx.opts.screenshotQuality} -outfile "${filenameTemp}" "${filename}"`,
-      { windowsHide: true }
-    );
-    await rename(filenameTemp, filename);
   }
 
-  if (ctx.opts.debug) {
-    task.output = 'Waiting for the browser to be closed manually...';
-    await browserDisconnected(ctx.browser);
-  } else {
-    await page.close();
+  // Leave the pages open for inspection until the browser is closed
+  if (!ctx.opts.debug) await page.close();
+}
+
+/**
+ * Finds the element or region to capture, before the header is added.
+ * @param {import('./types').TaskContext} ctx
+ * @param {any} page
+ * @returns {Promise<import('./types').Clip>}
+ */
+async function getTargetBox(ctx, page) {
+  if (ctx.opts.screenshot === 'region') return parseClip(ctx.opts.clip);
+
+  const element = await page.$(ctx.opts.selector);
+  if (!element) {
+    throw new InvalidOptionError(
+      'selector',
+      `No element matches the selector ${ctx.opts.selector} on ${page.url()}`
+    );
+  }
+  const box = await element.boundingBox();
+  if (!box || !box.width || !box.height) {
+    throw new InvalidOptionError(
+      'selector',
+      `The element matching ${ctx.opts.selector} is not visible on ${page.url()}`
+    );
   }
+  return box;
+}
+
+/**
+ * Moves the header right above the element or region to capture. A placeholder takes the
+ * header's place so that the rest of the page doesn't move.
+ * @param {any} page
+ * @param {import('./types').Clip | null} region Region of the page before the header was added
+ * @param {string} [selector] Element to capture if there is no region
+ * @returns {Promise<import('./types').Clip | null>} Region including the header, null if the
+ * element no longer exists
+ */
+async function placeHeaderAbove(page, region, selector) {
+  return page.evaluate(
+    ({ region, selector }) => {
+      const element = region ? null : document.querySelector(selector);
+      if (!region && !element) return null;
+      /** @type {HTMLElement} */
+      const header = document.querySelector('archhive-header');
+      const width = region ? region.width : element.getBoundingClientRect().width;
+      header.style.setProperty('box-sizing', 'border-box', 'important');
+      header.style.setProperty('width', `${width}px`, 'important');
+      const headerHeight = header.offsetHeight;
+
+      const placeholder = document.createElement('div');
+      placeholder.style.height = `${headerHeight}px`;
+      header.replaceWith(placeholder);
+
+      let target;
+      if (region) {
+        target = { ...region, y: region.y + headerHeight };
+      } else {
+        const rect = element.getBoundingClientRect();
+        target = {
+          x: rect.left + window.scrollX,
+          y: rect.top + window.scrollY,
+          width: rect.width,
+          height: rect.height,
+        };
+      }
+      const top = Math.max(0, target.y - headerHeight);
+      header.style.setProperty('position', 'absolute', 'important');
+      header.style.setProperty('left', `${target.x}px`, 'important');
+      header.style.setProperty('top', `${top}px`, 'important');
+      header.style.setProperty('z-index', '2147483647', 'important');
+      document.documentElement.appendChild(header);
+
+      return {
+        x: target.x,
+        y: top,
+        width: target.width,
+        height: target.y + target.height - top,
+      };
+    },
+    { region, selector }
+  );
 }
 
 function browserDisconnected(browser) {
@@ -309,23 +517,50 @@ async function applyCompatibilityFixes(ctx, page) {
   });
 }
 
-async function generateHeader({ urls, actualUrl, originalUrl, width }) {
+/**
+ * Returns the HTML of the header listing the page's URL and its snapshots. The date is filled
+ * in `.archhive-date` once the page is loaded. Captures made with credentials are marked as
+ * the logged-in view of the page.
+ * @param {{ urls: Record<string, any>, archivers: import('./types').Archiver[], actualUrl: string, originalUrl: string, width: number, loggedIn?: boolean }} options
+ * @returns {Promise<string>}
+ */
+export async function generateHeader({
+  urls,
+  archivers,
+  actualUrl,
+  originalUrl,
+  width,
+  loggedIn = false,
+}) {
+  /** @type {Record<string, [string, string]>} */
+  const urlItems = {
+    url: [actualUrl === originalUrl ? 'URL' : 'ORIGINAL', originalUrl],
+  };
+  for (const archiver of archivers) {
+    const urlText = urls[archiver.shortUrlKey] || urls[archiver.urlKey];
+    if (urlText) urlItems[archiver.id] = [archiver.label, urlText];
+  }
+  const archiverAreas = Object.keys(urlItems).slice(1);
+
   /**
    * @param {number} width
    */
   function getGridTemplate(width) {
     if (width >= 1050) {
-      return '"qr url ao at"';
+      return `"qr url ${archiverAreas.join(' ')}"`;
     }
     if (width >= 650) {
-      return '"qr url url" "qr ao at"';
+      if (!archiverAreas.length) return '"qr url"';
+      return `"qr ${archiverAreas.map(() => 'url').join(' ')}" "qr ${archiverAreas.join(
+        ' '
+      )}"`;
     }
 
     if (width >= 560) {
-      return '"url qr" "ao qr" "at qr"';
+      return ['url', ...archiverAreas].map((area) => `"${area} qr"`).join(' ');
     }
 
-    return '"qr" "url" "ao" "at"';
+    return ['qr', 'url', ...archiverAreas].map((area) => `"${area}"`).join(' ');
   }
 
   /**
@@ -347,11 +582,6 @@ async function generateHeader({ urls, actualUrl, originalUrl, width }) {
   const gridTemplate = getGridTemplate(width);
   const gridGap = getGridGap(width);
 
-  const urlItems = {
-    url: [actualUrl === originalUrl ? 'URL' : 'ORIGINAL', originalUrl],
-    ao: ['ARCHIVE.ORG', urls.archiveOrgShortUrl || urls.archiveOrgUrl],
-    at: ['ARCHIVE.TODAY', urls.archiveTodayUrl],
-  };
   let headerItems = [];
 
   for (const urlKey in urlItems) {
@@ -364,6 +594,11 @@ async function generateHeader({ urls, actualUrl, originalUrl, width }) {
           <span style="display:block;">
             <span style="color: grey;font-variant: common-ligatures;font-weight: 700;letter-spacing: 0.04em;">${urlLabel}</span>
             <span class="archhive-date"></span>
+            ${
+              loggedIn
+                ? '<span style="color: #b35900;font-weight: 700;letter-spacing: 0.04em;">LOGGED-IN VIEW</span>'
+                : ''
+            }
           </span>
           <span style="display:block;font-family:courier;overflow-wrap: anywhere;">
             ${removeProtocol(urlText)}
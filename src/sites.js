@@ -0,0 +1,150 @@
+import { readdirSync, readFileSync } from 'fs';
+import yaml from 'js-yaml';
+import { dirname, extname, join, resolve } from 'path';
+import { validateActions } from './actions.js';
+import { InvalidOptionError } from './errors.js';
+import { warn } from './util.js';
+
+const PROFILE_EXTENSIONS = ['.yml', '.yaml'];
+/** Options that select the URL or the profile itself */
+const IGNORED_OPTIONS = ['url', 'batch', 'file', 'sitesDir', 'siteProfile', 'config'];
+
+/** Profiles of each sites directory, which is read once per run */
+const sitesDirs = new Map();
+
+/**
+ * Finds the profile of a URL's site in --sites-dir, or reads --site-profile.
+ *
+ * Profiles are named after the host they apply to, or declare it in `hosts`: `example.com`
+ * applies to example.com and its subdomains, `*.example.com` only to the subdomains. The
+ * profile of the exact host is used first, then the one of the closest parent domain.
+ * Invalid profiles are skipped with a warning, unless their name is the best match.
+ * @param {string} url
+ * @param {Partial<import('./types').ArchhiveOptions>} options
+ * @param {Partial<import('./types').TaskContext>} [ctx] Receives the warnings
+ * @returns {import('./types').SiteProfile | undefined}
+ */
+export function findSiteProfile(url, options, ctx = {}) {
+  const { sitesDir, siteProfile } = options;
+  if (siteProfile === false) return undefined;
+  if (siteProfile) return loadSiteProfile(resolve(siteProfile));
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    // Invalid URLs are reported by normalizeOptions()
+    return undefined;
+  }
+
+  const entries = readSitesDir(sitesDir);
+  let bestEntry;
+  let bestScore = 0;
+  for (const entry of entries) {
+    // The hosts of invalid profiles are unknown
+    const patterns = [entry.name, ...(entry.profile?.hosts || [])];
+    for (const pattern of patterns) {
+      const score = matchHost(hostname, pattern.toLowerCase());
+      if (score > bestScore) {
+        bestEntry = entry;
+        bestScore = score;
+      }
+    }
+  }
+  if (bestEntry?.error) throw bestEntry.error;
+  for (const entry of entries) {
+    if (entry.error && !entry.warned) {
+      entry.warned = true;
+      warn(ctx, `Skipping the site profile ${entry.filename}: ${entry.error.message}`);
+    }
+  }
+  return bestEntry?.profile;
+}
+
+/**
+ * Reads every profile in a sites directory, keeping the error of invalid ones.
+ * @param {string} sitesDir
+ * @returns {{ filename: string, name: string, profile?: import('./types').SiteProfile, error?: Error, warned?: boolean }[]}
+ */
+function readSitesDir(sitesDir) {
+  if (!sitesDir) return [];
+  const dir = resolve(sitesDir);
+  if (!sitesDirs.has(dir)) {
+    let filenames = [];
+    try {
+      filenames = readdirSync(dir).filter((name) =>
+        PROFILE_EXTENSIONS.includes(extname(name).toLowerCase())
+      );
+    } catch (e) {
+      // The directory is optional
+    }
+    sitesDirs.set(
+      dir,
+      filenames.map((basename) => {
+        const filename = join(dir, basename);
+        const name = basename.slice(0, -extname(basename).length);
+        try {
+          return { filename, name, profile: loadSiteProfile(filename) };
+        } catch (e) {
+          return { filename, name, error: e };
+        }
+      })
+    );
+  }
+  return sitesDirs.get(dir);
+}
+
+/**
+ * @param {string} filename
+ * @returns {import('./types').SiteProfile}
+ */
+export function loadSiteProfile(filename) {
+  /** @type {any} */
+  let profile;
+  try {
+    profile = yaml.load(readFileSync(filename, 'utf8')) || {};
+  } catch (e) {
+    throw new InvalidOptionError(
+      'siteProfile',
+      `Could not read site profile: ${filename} (${e.message})`,
+      { cause: e }
+    );
+  }
+  if (typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new InvalidOptionError(
+      'siteProfile',
+      `Invalid site profile: ${filename} (expected a mapping of stylesheet, filters, options and actions)`
+    );
+  }
+
+  /** @type {Record<string, any>} */
+  const options = {};
+  for (const [key, value] of Object.entries(profile.options || {})) {
+    // Options can be written like on the command line
+    const option = key.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    if (!IGNORED_OPTIONS.includes(option)) options[option] = value;
+  }
+  if (profile.actions) validateActions(profile.actions, 'siteProfile', filename);
+
+  return {
+    filename,
+    hosts: [].concat(profile.hosts || []),
+    stylesheet: profile.stylesheet && resolve(dirname(filename), profile.stylesheet),
+    filters: [].concat(profile.filters || []).join('\n'),
+    options,
+    actions: profile.actions || [],
+  };
+}
+
+/**
+ * @param {string} hostname
+ * @param {string} pattern e.g. www.example.com, example.com or *.example.com
+ * @returns {number} 0 if the pattern does not match, higher for more specific patterns
+ */
+function matchHost(hostname, pattern) {
+  if (pattern === hostname) return Infinity;
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1)) ? pattern.length : 0;
+  }
+  return hostname.endsWith(`.${pattern}`) ? pattern.length : 0;
+}
@@ -0,0 +1,98 @@
+import Jimp from 'jimp';
+import { wait } from './util.js';
+
+const FROZEN_ATTRIBUTE = 'data-archhive-style';
+
+/**
+ * Takes a screenshot of the page one viewport-high tile at a time and stitches the tiles
+ * together. Sticky and fixed elements are only captured in the first tile.
+ * @param {any} page
+ * @param {{ maxHeight?: number }} options Height in device pixels above which the
+ * screenshot is split into pages
+ * @returns {Promise<Jimp[]>} One image per page
+ */
+export async function captureStitched(page, { maxHeight = Infinity }) {
+  const { width, height: viewportHeight, deviceScaleFactor = 1 } = page.viewport();
+  const pageHeight = await page.evaluate(() => document.documentElement.scrollHeight);
+
+  /** @type {{ image: Jimp, y: number }[]} */
+  const tiles = [];
+  try {
+    for (let y = 0; y < pageHeight; y += viewportHeight) {
+      // Scroll so that lazy loaded content and sticky elements behave as for a visitor
+      await page.evaluate((y) => window.scrollTo(0, y), y);
+      await wait(100);
+      const { data } = await page._client.send('Page.captureScreenshot', {
+        format: 'png',
+        clip: {
+          x: 0,
+          y,
+          width,
+          height: Math.min(viewportHeight, pageHeight - y),
+          scale: 1,
+        },
+        captureBeyondViewport: true,
+      });
+      tiles.push({
+        image: await Jimp.read(Buffer.from(data, 'base64')),
+        y: Math.round(y * deviceScaleFactor),
+      });
+      if (tiles.length === 1) await freezeElements(page);
+    }
+  } finally {
+    await unfreezeElements(page);
+    await page.evaluate(() => window.scrollTo(0, 0));
+  }
+
+  const imageWidth = tiles[0].image.bitmap.width;
+  const last = tiles[tiles.length - 1];
+  const imageHeight = last.y + last.image.bitmap.height;
+  const pages = [];
+  for (let pageY = 0; pageY < imageHeight; pageY += maxHeight) {
+    const height = Math.min(maxHeight, imageHeight - pageY);
+    const image = new Jimp(imageWidth, height, 0xffffffff);
+    for (const tile of tiles) {
+      // Only copy the part of the tile that is on this page
+      const top = Math.max(tile.y, pageY);
+      const bottom = Math.min(tile.y + tile.image.bitmap.height, pageY + height);
+      if (top >= bottom) continue;
+      image.blit(tile.image, 0, top - pageY, 0, top - tile.y, imageWidth, bottom - top);
+    }
+    pages.push(image);
+  }
+  return pages;
+}
+
+/**
+ * Hides fixed elements and unsticks sticky elements so that they aren't repeated in every
+ * tile. Their inline style is saved to be restored by `unfreezeElements()`.
+ * @param {any} page
+ */
+async function freezeElements(page) {
+  await page.evaluate((attribute) => {
+    for (const elem of Array.from(document.body.querySelectorAll('*'))) {
+      const { position } = window.getComputedStyle(elem);
+      if (position !== 'fixed' && position !== 'sticky') continue;
+
+      const style = /** @type {HTMLElement} */ (elem).style;
+      elem.setAttribute(attribute, elem.getAttribute('style') || '');
+      if (position === 'fixed') {
+        style.setProperty('opacity', '0', 'important');
+      } else {
+        style.setProperty('position', 'relative', 'important');
+      }
+    }
+  }, FROZEN_ATTRIBUTE);
+}
+
+/**
+ * @param {any} page
+ */
+async function unfreezeElements(page) {
+  await page.evaluate((attribute) => {
+    for (const elem of Array.from(document.querySelectorAll(`[${attribute}]`))) {
+      elem.setAttribute('style', elem.getAttribute(attribute));
+      elem.removeAttribute(attribute);
+    }
+  }, FROZEN_ATTRIBUTE);
+}
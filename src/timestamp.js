@@ -0,0 +1,201 @@
+import { createHash, createPublicKey, randomBytes, verify } from 'crypto';
+import fetch from 'node-fetch';
+import {
+  decode,
+  decodeGeneralizedTime,
+  decodeObjectIdentifier,
+  encode,
+  integer,
+  objectIdentifier,
+  sequence,
+  TAGS,
+} from './der.js';
+
+/** Hash algorithms by OID */
+const HASH_ALGORITHMS = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512',
+};
+const SHA256_OID = '2.16.840.1.101.3.4.2.1';
+const TST_INFO_OID = '1.2.840.113549.1.9.16.1.4';
+const MESSAGE_DIGEST_OID = '1.2.840.113549.1.9.4';
+const COMMON_NAME_OID = '2.5.4.3';
+
+/**
+ * Requests an RFC 3161 timestamp token for data from a time-stamping authority.
+ * @param {string} tsaUrl
+ * @param {Buffer | string} data
+ * @returns {Promise<{ token: Buffer, time: Date, tsa?: string }>}
+ */
+export async function requestTimestamp(tsaUrl, data) {
+  const nonce = randomBytes(8);
+  const request = sequence(
+    integer(Buffer.from([1])),
+    // messageImprint
+    sequence(
+      sequence(objectIdentifier(SHA256_OID), encode(TAGS.NULL, Buffer.alloc(0))),
+      encode(TAGS.OCTET_STRING, createHash('sha256').update(data).digest())
+    ),
+    integer(nonce),
+    // certReq, so that the token can be verified without the TSA's certificate
+    encode(TAGS.BOOLEAN, Buffer.from([0xff]))
+  );
+
+  const response = await fetch(tsaUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/timestamp-query' },
+    body: request,
+  });
+  if (!response.ok) {
+    throw new Error(`${tsaUrl} responded with ${response.status} ${response.statusText}`);
+  }
+
+  const [statusInfo, tokenElement] = decode(await response.buffer()).children;
+  const [status, statusString] = statusInfo.children;
+  // 0: granted, 1: granted with modifications
+  if (status.content.readUIntBE(0, status.content.length) > 1 || !tokenElement) {
+    const reason = statusString?.children
+      .map((text) => text.content.toString())
+      .join(' ');
+    throw new Error(
+      `${tsaUrl} rejected the timestamp request${reason ? `: ${reason}` : ''}`
+    );
+  }
+
+  const token = Buffer.from(tokenElement.bytes);
+  const { time, tsa, nonce: tokenNonce } = verifyTimestampToken(token, data);
+  if (!tokenNonce || !tokenNonce.equals(integer(nonce))) {
+    throw new Error(`${tsaUrl} returned a timestamp for another request`);
+  }
+  return { token, time, tsa };
+}
+
+/**
+ * Checks that a timestamp token was issued for data and is signed by the TSA's certificate,
+ * which is either included in the token or passed to pin a TSA.
+ * @param {Buffer} token DER-encoded TimeStampToken
+ * @param {Buffer | string} data
+ * @param {{ certificate?: string | Buffer }} [options] PEM certificate of the TSA
+ * @returns {{ time: Date, tsa?: string, nonce?: Buffer }} Time of the timestamp and common
+ * name of the TSA. Throws if the token is invalid.
+ */
+export function verifyTimestampToken(token, data, options = {}) {
+  const { certificate } = options;
+  // ContentInfo > [0] > SignedData
+  const signedData = decode(token).children[1].children[0];
+  const [, , encapContentInfo, ...rest] = signedData.children;
+  const signerInfos = rest[rest.length - 1];
+  const certificates = rest.find((element) => element.tag === 0xa0)?.children || [];
+
+  const [contentType, eContent] = encapContentInfo.children;
+  if (decodeObjectIdentifier(contentType.content) !== TST_INFO_OID) {
+    throw new Error('Not a timestamp token');
+  }
+  const tstInfoBytes = eContent.children[0].content;
+  const [, , messageImprint, , genTime, ...optional] = decode(tstInfoBytes).children;
+
+  const [hashAlgorithm, hashedMessage] = messageImprint.children;
+  const imprintHash = getHashAlgorithm(hashAlgorithm);
+  if (!createHash(imprintHash).update(data).digest().equals(hashedMessage.content)) {
+    throw new Error('The timestamp was issued for other data');
+  }
+
+  const [signerInfo] = signerInfos.children;
+  const [, , digestAlgorithm, signedAttrs, , signature] = signerInfo.children;
+  if (signedAttrs?.tag !== 0xa0) {
+    throw new Error('Timestamp tokens without signed attributes are not supported');
+  }
+  const digestHash = getHashAlgorithm(digestAlgorithm);
+  const messageDigest = signedAttrs.children.find(
+    (attribute) =>
+      decodeObjectIdentifier(attribute.children[0].content) === MESSAGE_DIGEST_OID
+  );
+  if (
+    !messageDigest ||
+    !createHash(digestHash)
+      .update(tstInfoBytes)
+      .digest()
+      .equals(messageDigest.children[1].children[0].content)
+  ) {
+    throw new Error('The timestamp token was altered');
+  }
+
+  // The signature covers the attributes encoded as a SET rather than [0]
+  const signedBytes = Buffer.concat([
+    Buffer.from([TAGS.SET]),
+    signedAttrs.bytes.subarray(1),
+  ]);
+  const candidates = certificate
+    ? [decode(pemToDer(certificate))]
+    : certificates.filter((cert) => cert.tag === TAGS.SEQUENCE);
+  const signer = candidates.find((cert) => {
+    try {
+      const key = createPublicKey(derToPem(cert.bytes));
+      return verify(digestHash, signedBytes, key, signature.content);
+    } catch (e) {
+      return false;
+    }
+  });
+  if (!signer) {
+    throw new Error(
+      certificate
+        ? 'The timestamp was not signed by the TSA certificate'
+        : 'The timestamp signature is invalid'
+    );
+  }
+
+  return {
+    time: decodeGeneralizedTime(genTime.content),
+    tsa: getCommonName(signer),
+    nonce: optional.find((element) => element.tag === TAGS.INTEGER)?.bytes,
+  };
+}
+
+/**
+ * @param {import('./types').DerElement} algorithmIdentifier
+ */
+function getHashAlgorithm(algorithmIdentifier) {
+  const oid = decodeObjectIdentifier(algorithmIdentifier.children[0].content);
+  const algorithm = HASH_ALGORITHMS[oid];
+  if (!algorithm) throw new Error(`Unsupported hash algorithm: ${oid}`);
+  return algorithm;
+}
+
+/**
+ * @param {import('./types').DerElement} certificate
+ */
+function getCommonName(certificate) {
+  const tbsCertificate = certificate.children[0];
+  // The version is optional
+  const offset = tbsCertificate.children[0].tag === 0xa0 ? 1 : 0;
+  const subject = tbsCertificate.children[offset + 4];
+  for (const relativeName of subject.children) {
+    for (const attribute of relativeName.children) {
+      const [type, value] = attribute.children;
+      if (decodeObjectIdentifier(type.content) === COMMON_NAME_OID) {
+        return value.content.toString();
+      }
+    }
+  }
+}
+
+/**
+ * @param {string | Buffer} pem
+ */
+function pemToDer(pem) {
+  const base64 = String(pem).match(
+    /-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/
+  );
+  if (!base64) throw new Error('Not a PEM certificate');
+  return Buffer.from(base64[1].replace(/\s/g, ''), 'base64');
+}
+
+/**
+ * @param {Buffer} der
+ */
+function derToPem(der) {
+  const lines = der.toString('base64').match(/.{1,64}/g);
+  return `-----BEGIN CERTIFICATE-----\n${lines.join('\n')}\n-----END CERTIFICATE-----\n`;
+}
@@ -1,17 +1,81 @@
 export interface ArchhiveOptions {
     print: boolean;
+    /** Save the article text, metadata and links in <title>.json and <title>.md */
+    metadata?: boolean;
+    /** Recognize the text of the screenshot with tesseract */
+    ocr?: boolean;
+    /** tesseract languages, e.g. eng+deu */
+    ocrLanguage?: string;
+    /** Save <title>.manifest.json with the hashes of every file */
+    manifest?: boolean;
+    /** PEM private key to sign the manifest with */
+    signKey?: string;
+    /** RFC 3161 time-stamping authority to timestamp the manifest with */
+    tsaUrl?: string;
+    /** verify subcommand: PEM public key that must have signed the manifest */
+    publicKey?: string;
+    /** verify subcommand: PEM certificate of the TSA that must have timestamped the manifest */
+    tsaCert?: string;
     width: string;
-    screenshot: 'fullpage' | 'stitched' | 'none';
+    /** Devices to emulate instead of --width, separated by commas */
+    device?: string;
+    /** JSON file of custom device profiles by name */
+    devices?: string;
+    screenshot: 'fullpage' | 'stitched' | 'element' | 'region' | 'none';
+    /** Element to capture with --screenshot element */
+    selector?: string;
+    /** Region to capture with --screenshot region: x,y,width,height */
+    clip?: string;
     screenshotQuality: number;
+    /** Height in pixels above which stitched screenshots are split into numbered pages */
+    pageHeight?: number;
+    /** Files to save, separated by commas: jpg (default), png, webp, pdf or mhtml */
+    format?: string;
     aoUrl: string | 'auto';
     atUrl: string | 'auto';
+    /** Date such as 2020-05-01. Screenshots the archive.org snapshot closest to it instead of archiving. */
+    atDate?: string;
+    /** Defaults to the ARCHIVE_ORG_ACCESS_KEY environment variable */
+    aoAccessKey?: string;
+    /** Defaults to the ARCHIVE_ORG_SECRET_KEY environment variable */
+    aoSecretKey?: string;
+    aoCaptureOutlinks?: boolean;
+    aoCaptureScreenshot?: boolean;
+    /** e.g. 30d or "3d 5h" */
+    aoIfNotArchivedWithin?: string;
+    gaUrl: string | 'auto';
+    permaUrl: string | 'auto';
+    /** Defaults to the PERMA_API_KEY environment variable */
+    permaApiKey?: string;
+    /** ID of the perma.cc folder to save links in */
+    permaFolder?: string;
     stylesheet?: string;
     stylesheetsDir: string;
     filters?: string;
+    /** Directory of the site profiles, named after their host, e.g. example.com.yml */
+    sitesDir: string;
+    /** Site profile to use instead of looking it up in sitesDir, or false to use none */
+    siteProfile?: string | false;
+    /** JSON file of the actions to run before the screenshot, instead of the site profile's */
+    actions?: string;
+    /** How to dismiss consent banners before the screenshot */
+    consent?: 'reject' | 'accept' | 'hide';
+    /** Cookie jar to capture the page with, in Netscape cookies.txt or JSON format */
+    cookies?: string;
+    /** Browser profile directory to capture the page with, e.g. logged in to the site */
+    userDataDir?: string;
+    /** HTTP headers sent to the site, e.g. "Authorization: Bearer <token>" */
+    header?: string | string[];
     shorturl?: string;
     exifComment?: string;
     exifKeywords?: string;
     renew: 'auto' | 'manual' | 'no';
+    /** Archivers to use, separated by commas. Defaults to all registered archivers. */
+    archivers?: string | (string | Archiver)[];
+    /** Archiver plugin modules to load, separated by commas */
+    plugins?: string;
+    /** Duration such as 30d after which existing captures and snapshots are renewed */
+    maxAge?: string;
     referrer?: string;
     outputDir: string;
     noscript: boolean;
@@ -19,17 +83,414 @@ export interface ArchhiveOptions {
     debug?: 'all' | 'screenshot';
     open?: boolean;
     url: string;
+    batch?: string;
+    concurrency: number;
+    json?: boolean;
+    /** history subcommand */
+    action?: string;
+    query?: string[];
+    /** watch subcommand: file containing the URLs to watch */
+    file?: string;
+    /** Duration between watch checks, e.g. 6h */
+    every?: string;
+    /** URL to POST watch events to */
+    webhook?: string;
+    /** Shell command to run on watch events */
+    exec?: string;
+    /** diff subcommand: screenshot files or history entries */
+    old?: string;
+    new?: string;
+    /** Change percentage above which the diff command fails */
+    threshold?: number;
+    nonInteractive?: boolean;
+    /** retry, retry:N, skip or fail */
+    onArchiveFailure?: string;
+    onCaptcha?: 'use-existing' | 'fail';
+    onExistingSnapshot?: 'use' | 'renew';
+}
+
+/**
+ * Asks the user a question. Receives an enquirer-style question object and resolves to
+ * an object containing the answer under the question's `name`.
+ */
+export type PromptCallback = (question: {
+    type: 'confirm' | 'input' | 'select';
+    name: string;
+    message: string;
+    initial?: any;
+    choices?: string[];
+}) => Promise<Record<string, any>>;
+
+export interface ArchiveOptions extends Partial<ArchhiveOptions> {
+    /** Called when a decision is needed and no policy is specified. Without it, the default policies are used. */
+    prompt?: PromptCallback;
+    log?(...text: any[]): void;
+    /** Browser to reuse. A new browser is launched and closed if omitted. */
+    browser?: any;
+    /** Listr renderer, silent by default */
+    renderer?: 'default' | 'verbose' | 'silent';
+}
+
+export interface ArchiveResult {
+    url: string;
+    /** URL after following redirects */
+    finalUrl: string;
+    /** URLs that redirected to the final URL, in order */
+    redirectChain: string[];
+    pageTitle: string;
+    archiveOrgUrl?: string;
+    archiveOrgShortUrl?: string;
+    archiveTodayUrl?: string;
+    ghostarchiveUrl?: string;
+    permaCcUrl?: string;
+    /** Links of other archivers, under their urlKey and shortUrlKey */
+    [urlKey: string]: any;
+    /** First saved file */
+    filename: string;
+    files: SavedFile[];
+    /** JSON and Markdown files containing the page's metadata */
+    metadataFiles?: string[];
+    /** Manifest of the files, see `Manifest` */
+    manifest?: string;
+    /** Screenshot dimensions in pixels */
+    width?: number;
+    height?: number;
+    /** Screenshot size in bytes */
+    size?: number;
+    /** Whether the page was captured with credentials, as the logged-in view */
+    loggedIn?: boolean;
+    /** Duration of each task in milliseconds */
+    timings: Record<string, number>;
+    warnings: string[];
+}
+
+/**
+ * An archive service. Archivers are registered with `registerArchiver()` and run
+ * concurrently for every URL.
+ */
+export interface Archiver {
+    /** Unique name, shown in the task list, e.g. archive.org */
+    name: string;
+    /** Label shown in the screenshot header, e.g. ARCHIVE.ORG */
+    label: string;
+    /** Short ID used as the header's grid area, e.g. ao. Lowercase letters, digits and hyphens. */
+    id: string;
+    /** Key of the snapshot URL in the object returned by `archive()`, e.g. archiveOrgUrl */
+    urlKey: string;
+    /** Key of the short URL, shown in the header instead of the snapshot URL if set */
+    shortUrlKey?: string;
+    /**
+     * Option containing a pre-defined snapshot URL, which `archive()` should handle. It is set
+     * to the URL when archiving a snapshot of this service. Without it, `archive()` isn't
+     * called for snapshots of this service.
+     */
+    urlOption?: string;
+    /** Whether the archiver is used when no archivers are specified, true by default */
+    enabledByDefault?: boolean;
+    /** Whether the URL is a snapshot of this service */
+    isArchiveUrl(url: URL): boolean;
+    /** Archives `ctx.opts.url`, resolving to the URLs under `urlKey` and `shortUrlKey` */
+    archive(ctx: TaskContext, task: Task): Promise<Record<string, string | undefined>>;
+}
+
+/** A file saved from the page, see `FORMATS` */
+export interface OutputFormat {
+    /** Whether the file is a screenshot, which is not saved with --screenshot none */
+    image: boolean;
+    /** Whether EXIF and XMP metadata (or a PDF info dictionary) can be embedded in the file */
+    metadata: boolean;
+    /** Height in pixels above which stitched screenshots are split into pages */
+    maxHeight?: number;
+    capture(ctx: TaskContext, page: any, file: SavedFile): Promise<void>;
+    optimize?(ctx: TaskContext, file: SavedFile): Promise<void>;
+}
+
+/** Device to emulate when taking a screenshot */
+export interface DeviceProfile {
+    /** Device name, --width preset such as mobile, or the width */
+    name: string;
+    width: number;
+    height: number;
+    deviceScaleFactor: number;
+    isMobile: boolean;
+    hasTouch: boolean;
+    /** Browser's user agent if omitted */
+    userAgent?: string;
+}
+
+export interface SavedFile {
+    /** Extension, see `FORMATS` */
+    format: string;
+    /** Name of the device profile */
+    device: string;
+    filename: string;
+    /** Dimensions of the page in device pixels */
+    width?: number;
+    height?: number;
+    /** Region of the page in the screenshot, including the header, in CSS pixels */
+    clip?: Clip;
+    /** Files of every page, starting with filename, if a stitched screenshot was split */
+    pages?: string[];
+}
+
+export interface Clip {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
 }
 
 export interface TaskContext {
-    prompt?: typeof import('enquirer').prompt;
+    prompt?: PromptCallback;
     log?(...text: any[]): void;
     opts: ArchhiveOptions;
     browser: any;
+    /** Enabled archivers */
+    archivers: Archiver[];
     urls: any;
     stylesheet?: string;
+    /** Profile of the site in --sites-dir */
+    siteProfile?: SiteProfile;
     filename: string;
+    files: SavedFile[];
+    /** Extracted from the page loaded for the first device */
+    metadata?: PageMetadata;
+    metadataFiles?: string[];
+    manifestFilename?: string;
+    /** Filename of the files without extension nor device, based on the page title */
+    basename?: string;
+    /** ISO 8601 date at which the page was loaded */
+    capturedAt?: string;
+    /** Text recognized in the screenshot with --ocr */
+    ocrText?: string;
     pageTitle: string;
+    finalUrl?: string;
+    redirectChain?: string[];
+    /** Whether the page is captured with --cookies, --header or --user-data-dir */
+    loggedIn?: boolean;
+    dimensions?: { width: number; height: number };
+    timings: Record<string, number>;
+    warnings: string[];
+}
+
+export type Task = (import('listr').ListrTaskWrapper<TaskContext>); 
+export interface Snapshot {
+    /** Name of the archiver */
+    archiver: string;
+    url: string;
+    date: Date;
+    /** HTTP status code of the archived page, if known */
+    status?: number;
 }
 
-export type Task = (import('listr').ListrTaskWrapper<TaskContext>); 
\ No newline at end of file
+export interface HistoryEntry {
+    id: string;
+    /** ISO 8601 capture date */
+    timestamp: string;
+    url: string;
+    finalUrl?: string;
+    pageTitle?: string;
+    filename?: string;
+    /** SHA-256 hash of the screenshot */
+    sha256?: string;
+    /** CLI arguments used for the capture, without secret options such as --header */
+    argv: string[];
+    /** Secret options that were used but left out of argv */
+    omittedOptions?: string[];
+    /** Working directory of the capture, which argv is relative to */
+    cwd: string;
+    /** Archive links, under the archivers' urlKey and shortUrlKey */
+    [urlKey: string]: any;
+}
+
+/** Screenshot to compare, with the details of its history entry if it has one */
+export interface Capture extends Partial<HistoryEntry> {
+    filename: string;
+    /** ISO 8601 capture date, or modification date of the file */
+    timestamp: string;
+}
+
+export interface DiffResult {
+    before: string;
+    after: string;
+    /** Percentage of pixels that changed, below the headers */
+    visualChange: number;
+    /** Percentage of lines of the article text that were added or removed */
+    textChange?: number;
+    /** Image highlighting the changed regions */
+    image: string;
+    /** Unified diff of the article text */
+    textDiff?: string;
+}
+
+/** Last known state of a watched URL */
+export interface WatchState {
+    /** HTTP status code of the last check */
+    status: number;
+    /** SHA-256 hash of the article text of the last capture */
+    hash?: string;
+    /** ISO 8601 dates */
+    checkedAt: string;
+    changedAt?: string;
+    /** History entry of the last capture */
+    entryId?: string;
+}
+
+export interface WatchEvent {
+    event: 'changed' | 'unavailable';
+    url: string;
+    /** ISO 8601 date of the check */
+    timestamp?: string;
+    status: number;
+    /** History entry of the new capture */
+    capture?: HistoryEntry;
+    /** Comparison with the previous capture */
+    diff?: DiffResult;
+}
+
+/** Metadata and content of a page, from its meta tags, OpenGraph and JSON-LD */
+export interface PageMetadata {
+    title: string;
+    description?: string;
+    author?: string;
+    /** As found in the page, usually ISO 8601 */
+    publishedDate?: string;
+    modifiedDate?: string;
+    canonicalUrl?: string;
+    siteName?: string;
+    language?: string;
+    /** og: and article: properties */
+    openGraph: Record<string, string>;
+    jsonLd: any[];
+    /** Outbound links, without duplicates */
+    links: { text: string; url: string }[];
+    /** Text of the article, or of the main content or body */
+    text: string;
+}
+
+/** A site profile, e.g. sites/example.com.yml */
+/** Cookie in the format of puppeteer's page.setCookie() */
+export interface Cookie {
+    name: string;
+    value: string;
+    domain: string;
+    path: string;
+    secure: boolean;
+    httpOnly: boolean;
+    /** Unix time in seconds, none for session cookies */
+    expires?: number;
+    sameSite?: 'Strict' | 'Lax' | 'None';
+}
+
+export interface SiteProfile {
+    filename: string;
+    /** Other hosts the profile applies to, e.g. *.example.net */
+    hosts: string[];
+    /** Absolute path of the stylesheet, used unless --stylesheet is passed */
+    stylesheet?: string;
+    /** Adblock filters, restricted to the site */
+    filters: string;
+    /** Defaults for the options that are not passed */
+    options: Partial<ArchhiveOptions>;
+    /** Steps to run before the page is captured */
+    actions: Action[];
+}
+
+/** A step of the interaction with a page, see `runActions()` */
+export type Action = (
+    | { click: string }
+    | { type: string; text: string }
+    | { waitForSelector: string; timeout?: number }
+    | { scroll: 'bottom' | number | string }
+    | { remove: string }
+    | { evaluate: string }
+    | { wait: number | string }
+) & {
+    /** Whether to continue with a warning if the step fails */
+    optional?: boolean;
+};
+
+/** Metadata embedded in the saved files by `embed.js` */
+export interface EmbeddedMetadata {
+    /** Page title */
+    title: string;
+    /** Title, links, --exif-comment and recognized text, separated by newlines */
+    description: string;
+    /** Author of the page */
+    creator?: string;
+    /** URL of the page */
+    source: string;
+    keywords: string[];
+    /** Capture time */
+    date: Date;
+    /** archhive and its version */
+    creatorTool: string;
+    /** Links of every archiver that saved the page */
+    archives: { name: string; url: string; shortUrl?: string }[];
+}
+
+/** Contents of <title>.manifest.json */
+export interface ManifestFile {
+    manifest: Manifest;
+    /** Signature of the manifest serialized as JSON without whitespace */
+    signature?: {
+        /** Key type, e.g. ed25519 or rsa */
+        algorithm: string;
+        /** PEM public key */
+        publicKey: string;
+        /** Base64 */
+        value: string;
+    };
+    /** RFC 3161 timestamp of the manifest serialized as JSON without whitespace */
+    timestamp?: {
+        tsaUrl: string;
+        /** Common name of the TSA's certificate */
+        tsa?: string;
+        /** ISO 8601 */
+        time: string;
+        /** Base64 DER-encoded TimeStampToken */
+        token: string;
+    };
+}
+
+export interface Manifest {
+    version: 1;
+    /** Name and version of archhive */
+    tool: string;
+    url: string;
+    finalUrl?: string;
+    pageTitle: string;
+    /** ISO 8601 */
+    capturedAt: string;
+    /** By archiver name */
+    archiveUrls: Record<string, string>;
+    files: { filename: string; sha256: string; size: number }[];
+}
+
+export interface VerifyCheck {
+    /** Filename, signature or timestamp */
+    name: string;
+    ok: boolean;
+    /** Valid signature or timestamp that can't be trusted without --public-key or --tsa-cert */
+    unverified?: boolean;
+    detail: string;
+}
+
+export interface VerifyResult {
+    manifest: string;
+    url: string;
+    capturedAt: string;
+    tool: string;
+    archiveUrls: Record<string, string>;
+    ok: boolean;
+    checks: VerifyCheck[];
+}
+
+export interface DerElement {
+    tag: number;
+    /** Whole element, including the tag and length */
+    bytes: Buffer;
+    content: Buffer;
+    /** Decoded content of constructed elements */
+    children?: DerElement[];
+}
@@ -1,3 +1,11 @@
+import { readFileSync } from 'fs';
+import { InvalidOptionError } from './errors.js';
+
+/** Version of archhive, recorded in manifests and embedded metadata */
+export const { version: VERSION } = JSON.parse(
+  readFileSync(new URL('../package.json', import.meta.url), 'utf8')
+);
+
 export const VIEWPORT_WIDTH = {
   mini: 492,
   mobile: 576,
@@ -23,6 +31,69 @@ export function getViewport(width) {
   return [w, 1080];
 }
 
+/**
+ * Parses a region of the page such as 0,100,800,600.
+ * @param {string} clip x,y,width,height in CSS pixels
+ * @returns {import('./types').Clip}
+ */
+export function parseClip(clip) {
+  const values = String(clip || '')
+    .split(',')
+    .map((value) => Number(value.trim()));
+  const [x, y, width, height] = values;
+  if (
+    values.length !== 4 ||
+    values.some((value) => !Number.isFinite(value) || value < 0) ||
+    !width ||
+    !height
+  ) {
+    throw new InvalidOptionError(
+      'clip',
+      `Invalid --clip: ${clip} (expected x,y,width,height, e.g. 0,100,800,600)`
+    );
+  }
+  return { x, y, width, height };
+}
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  y: 31556952000,
+};
+
+/**
+ * Parses a duration such as 30d, 12h or 1y into milliseconds.
+ * @param {string} duration
+ * @returns {number} NaN if the duration is invalid
+ */
+export function parseDuration(duration) {
+  const match = String(duration)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*([smhdwy])$/i);
+  if (!match) return NaN;
+  return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * @param {Date} date
+ */
+export function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Logs a warning and records it in the context so it can be reported with the result.
+ * @param {Partial<import('./types').TaskContext>} ctx
+ * @param {string} message
+ */
+export function warn(ctx, message) {
+  ctx.warnings?.push(message);
+  ctx.log?.(`warn: ${message}`);
+}
+
 /**
  *
  * @param {number} time
@@ -30,3 +101,29 @@ export function getViewport(width) {
 export function wait(time) {
   return new Promise((resolve) => setTimeout(resolve, time));
 }
+
+/**
+ * Maps over items with at most `concurrency` promises pending at once. Results are
+ * returned in the same order as the items.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+export async function mapConcurrent(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(concurrency, items.length)); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
@@ -0,0 +1,119 @@
+import { spawn } from 'child_process';
+import { createHash } from 'crypto';
+import { readFile, writeFile } from 'fs/promises';
+import fetch from 'node-fetch';
+import { join } from 'path';
+import { readActions, runActions } from './actions.js';
+import { addCredentials, openCaptureContext } from './auth.js';
+import { addSiteFilters } from './browser.js';
+import { handleConsent } from './consent.js';
+import { extractArticleText } from './diff.js';
+
+/** JSON file in the output directory containing the last known state of each watched URL */
+export const WATCH_STATE_FILENAME = '.archhive_watch.json';
+
+/**
+ * Reads the state of the watched URLs in an output directory.
+ * @param {string} outputDir
+ * @returns {Promise<Record<string, import('./types').WatchState>>}
+ */
+export async function readWatchState(outputDir) {
+  let text;
+  try {
+    text = await readFile(join(outputDir, WATCH_STATE_FILENAME), 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw e;
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * @param {string} outputDir
+ * @param {Record<string, import('./types').WatchState>} state
+ */
+export async function writeWatchState(outputDir, state) {
+  await writeFile(
+    join(outputDir, WATCH_STATE_FILENAME),
+    `${JSON.stringify(state, null, 2)}\n`
+  );
+}
+
+/**
+ * Loads a page and hashes the text of its article, which is cheaper than a capture and
+ * ignores changes to ads, dates and other surrounding content. The page is loaded like for a
+ * capture: with the credentials, the filters and actions of the site profile, and --consent.
+ * @param {import('./types').TaskContext} ctx
+ * @param {import('./types').Task} task
+ * @returns {Promise<{ status: number, hash: string }>}
+ */
+export async function fingerprintPage(ctx, task) {
+  addSiteFilters(ctx);
+  // --actions replaces the actions of the site profile
+  const actions = ctx.opts.actions
+    ? readActions(ctx.opts.actions)
+    : ctx.siteProfile?.actions || [];
+  const context = await openCaptureContext(ctx);
+  const page = await context.newPage();
+  try {
+    await addCredentials(ctx, page);
+    if (ctx.opts.noscript) await page.setJavaScriptEnabled(false);
+    const response = await page.goto(ctx.opts.url, {
+      waitUntil: 'networkidle2',
+      timeout: 60000,
+    });
+    if (ctx.opts.consent) await handleConsent(ctx, page, task);
+    if (actions.length) await runActions(ctx, page, actions, task);
+    const text = await extractArticleText(page);
+    return {
+      status: response ? response.status() : 200,
+      // Whitespace changes with the layout
+      hash: createHash('sha256').update(text.replace(/\s+/g, ' ').trim()).digest('hex'),
+    };
+  } finally {
+    await page.close();
+    if (context !== ctx.browser) await context.close();
+  }
+}
+
+/**
+ * Sends a change event to the webhook as a JSON POST request, and to the command on its
+ * standard input. The output of the command goes to standard error. Failures are logged but
+ * don't stop the watch.
+ * @param {import('./types').WatchEvent} event
+ * @param {{ webhook?: string, exec?: string, log?(...text: any[]): void }} hooks
+ */
+export async function notifyChange(event, { webhook, exec, log }) {
+  const body = JSON.stringify(event);
+  if (webhook) {
+    try {
+      const response = await fetch(webhook, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+      });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+    } catch (e) {
+      log?.(`Could not send ${event.event} event to ${webhook}: ${e.message}`);
+    }
+  }
+  if (exec) {
+    const code = await new Promise((resolve) => {
+      const child = spawn(exec, {
+        shell: true,
+        // Standard output has the JSON records of --json
+        stdio: ['pipe', process.stderr, 'inherit'],
+        env: { ...process.env, ARCHHIVE_EVENT: event.event, ARCHHIVE_URL: event.url },
+      });
+      child.on('error', () => resolve(-1));
+      child.on('close', resolve);
+      child.stdin.on('error', () => {});
+      child.stdin.end(body);
+    });
+    if (code !== 0) {
+      log?.(`Command for ${event.event} event exited with code ${code}: ${exec}`);
+    }
+  }
+}
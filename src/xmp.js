@@ -0,0 +1,342 @@
+/**
+ * Encoders for the XMP, EXIF and IPTC metadata embedded by `embed.js`, and an XMP parser for
+ * reading it back.
+ */
+
+const ARCHHIVE_NAMESPACE = 'https://github.com/caresx/archhive#';
+const NAMESPACES = {
+  dc: 'http://purl.org/dc/elements/1.1/',
+  xmp: 'http://ns.adobe.com/xap/1.0/',
+  xmpNote: 'http://ns.adobe.com/xmp/note/',
+  exif: 'http://ns.adobe.com/exif/1.0/',
+  photoshop: 'http://ns.adobe.com/photoshop/1.0/',
+  Iptc4xmpCore: 'http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/',
+  archhive: ARCHHIVE_NAMESPACE,
+};
+
+/**
+ * Serializes metadata as an XMP packet.
+ * @param {import('./types').EmbeddedMetadata} metadata
+ * @param {{ omitDescription?: boolean, extendedXmp?: string }} [options] Used to move the
+ * description to an extended XMP packet in JPEGs, whose segments are limited to 64 KB
+ */
+export function buildXmp(metadata, options = {}) {
+  const { omitDescription, extendedXmp } = options;
+  const properties = [
+    `<dc:title>${alt(metadata.title)}</dc:title>`,
+    omitDescription
+      ? ''
+      : `<dc:description>${alt(metadata.description)}</dc:description>`,
+    metadata.creator ? `<dc:creator>${list('Seq', [metadata.creator])}</dc:creator>` : '',
+    `<dc:source>${escapeXml(metadata.source)}</dc:source>`,
+    metadata.keywords.length
+      ? `<dc:subject>${list('Bag', metadata.keywords)}</dc:subject>`
+      : '',
+    `<xmp:CreateDate>${metadata.date.toISOString()}</xmp:CreateDate>`,
+    `<xmp:CreatorTool>${escapeXml(metadata.creatorTool)}</xmp:CreatorTool>`,
+    `<exif:DateTimeOriginal>${metadata.date.toISOString()}</exif:DateTimeOriginal>`,
+    `<photoshop:DateCreated>${metadata.date.toISOString()}</photoshop:DateCreated>`,
+    `<Iptc4xmpCore:CreatorContactInfo rdf:parseType="Resource"><Iptc4xmpCore:CiUrlWork>${escapeXml(
+      metadata.source
+    )}</Iptc4xmpCore:CiUrlWork></Iptc4xmpCore:CreatorContactInfo>`,
+    metadata.archives.length
+      ? `<archhive:Archives><rdf:Bag>${metadata.archives
+          .map(
+            ({ name, url, shortUrl }) =>
+              `<rdf:li rdf:parseType="Resource"><archhive:Name>${escapeXml(
+                name
+              )}</archhive:Name><archhive:Url>${escapeXml(url)}</archhive:Url>${
+                shortUrl
+                  ? `<archhive:ShortUrl>${escapeXml(shortUrl)}</archhive:ShortUrl>`
+                  : ''
+              }</rdf:li>`
+          )
+          .join('')}</rdf:Bag></archhive:Archives>`
+      : '',
+    extendedXmp ? `<xmpNote:HasExtendedXMP>${extendedXmp}</xmpNote:HasExtendedXMP>` : '',
+  ];
+  return packet(properties);
+}
+
+/**
+ * The description alone, as the extended XMP packet of a JPEG
+ * @param {import('./types').EmbeddedMetadata} metadata
+ */
+export function buildDescriptionXmp(metadata) {
+  return packet([`<dc:description>${alt(metadata.description)}</dc:description>`], false);
+}
+
+/**
+ * Reads the metadata written by `buildXmp()`. Missing properties are undefined.
+ * @param {string} xmp
+ * @returns {Partial<import('./types').EmbeddedMetadata> & { extendedXmp?: string }}
+ */
+export function parseXmp(xmp) {
+  /**
+   * @param {string} name
+   */
+  function property(name) {
+    const match = xmp.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+    return match?.[1];
+  }
+  /**
+   * @param {string} [value]
+   */
+  function items(value) {
+    return [...(value || '').matchAll(/<rdf:li(?: [^>]*)?>([\s\S]*?)<\/rdf:li>/g)].map(
+      (match) => match[1]
+    );
+  }
+
+  const date = property('xmp:CreateDate');
+  const title = items(property('dc:title'))[0];
+  const description = items(property('dc:description'))[0];
+  return {
+    title: title && unescapeXml(title),
+    description: description && unescapeXml(description),
+    creator: items(property('dc:creator')).map(unescapeXml)[0],
+    source: property('dc:source') && unescapeXml(property('dc:source')),
+    keywords: items(property('dc:subject')).map(unescapeXml),
+    date: date ? new Date(date) : undefined,
+    creatorTool: property('xmp:CreatorTool') && unescapeXml(property('xmp:CreatorTool')),
+    archives: items(property('archhive:Archives')).map((item) => {
+      const field = (/** @type {string} */ name) => {
+        const match = item.match(
+          new RegExp(`<archhive:${name}>([\\s\\S]*?)</archhive:${name}>`)
+        );
+        return match ? unescapeXml(match[1]) : undefined;
+      };
+      return { name: field('Name'), url: field('Url'), shortUrl: field('ShortUrl') };
+    }),
+    extendedXmp: property('xmpNote:HasExtendedXMP'),
+  };
+}
+
+/**
+ * Builds a little-endian TIFF structure containing the EXIF tags, as embedded in JPEG, PNG
+ * and WebP files.
+ * @param {import('./types').EmbeddedMetadata} metadata
+ * @param {number} [maxLength] Bytes available in the container, the description is truncated
+ * to fit
+ */
+export function buildExif(metadata, maxLength = Infinity) {
+  const dateTime = formatExifDate(metadata.date);
+  const ascii = (/** @type {string} */ text) => Buffer.from(`${text}\0`, 'utf8');
+  const build = (/** @type {string} */ description) =>
+    buildTiff(
+      [
+        { tag: 0x010e, type: 2, value: ascii(description) }, // ImageDescription
+        { tag: 0x0131, type: 2, value: ascii(metadata.creatorTool) }, // Software
+        { tag: 0x0132, type: 2, value: ascii(dateTime) }, // DateTime
+        ...(metadata.creator
+          ? [{ tag: 0x013b, type: 2, value: ascii(metadata.creator) }] // Artist
+          : []),
+      ],
+      [
+        { tag: 0x9000, type: 7, value: Buffer.from('0232') }, // ExifVersion
+        { tag: 0x9003, type: 2, value: ascii(dateTime) }, // DateTimeOriginal
+        { tag: 0x9011, type: 2, value: ascii('+00:00') }, // OffsetTimeOriginal
+      ]
+    );
+
+  let tiff = build(metadata.description);
+  if (tiff.length > maxLength) {
+    // The full description is in the XMP metadata
+    // Plus the byte that may be needed to pad the value to an even length
+    const excess = tiff.length - maxLength + 1;
+    tiff = build(
+      truncateUtf8(
+        metadata.description,
+        Buffer.byteLength(metadata.description) - excess
+      ).toString()
+    );
+  }
+  return tiff;
+}
+
+/**
+ * Builds IPTC-IIM records wrapped in a Photoshop image resource block, as embedded in the
+ * APP13 segment of JPEGs.
+ * @param {import('./types').EmbeddedMetadata} metadata
+ */
+export function buildIptc(metadata) {
+  const date = metadata.date.toISOString();
+  /** @type {Buffer[]} */
+  const records = [
+    // Coded character set: UTF-8
+    dataset(1, 90, Buffer.from([0x1b, 0x25, 0x47])),
+    dataset(2, 0, Buffer.from([0, 4])),
+    // Maximum lengths are defined by the IIM specification
+    dataset(2, 5, truncateUtf8(metadata.title, 64)),
+    ...metadata.keywords.map((keyword) => dataset(2, 25, truncateUtf8(keyword, 64))),
+    dataset(2, 55, date.slice(0, 10).replace(/-/g, '')),
+    dataset(2, 60, `${date.slice(11, 19).replace(/:/g, '')}+0000`),
+    ...(metadata.creator ? [dataset(2, 80, truncateUtf8(metadata.creator, 32))] : []),
+    dataset(2, 120, truncateUtf8(metadata.description, 2000)),
+  ];
+  const iptc = Buffer.concat(records);
+  const size = Buffer.alloc(4);
+  size.writeUInt32BE(iptc.length);
+  return Buffer.concat([
+    Buffer.from('8BIM'),
+    // IPTC-NAA resource, with an empty name
+    Buffer.from([0x04, 0x04, 0, 0]),
+    size,
+    iptc,
+    Buffer.alloc(iptc.length % 2),
+  ]);
+}
+
+/**
+ * Formats a date as YYYY:MM:DD HH:MM:SS in UTC
+ * @param {Date} date
+ */
+export function formatExifDate(date) {
+  return date.toISOString().slice(0, 19).replace(/-/g, ':').replace('T', ' ');
+}
+
+/**
+ * @param {string} text
+ * @param {number} maxBytes
+ */
+export function truncateUtf8(text, maxBytes) {
+  const buffer = Buffer.from(text, 'utf8');
+  if (buffer.length <= maxBytes) return buffer;
+  let end = Math.max(0, maxBytes);
+  // Don't cut a multi-byte character
+  while (end > 0 && (buffer[end] & 0xc0) === 0x80) end--;
+  return buffer.subarray(0, end);
+}
+
+/**
+ * @param {string[]} properties
+ * @param {boolean} [padding] Whitespace for in-place editing, as recommended by the XMP spec
+ */
+function packet(properties, padding = true) {
+  const namespaces = Object.entries(NAMESPACES)
+    .map(([prefix, uri]) => `xmlns:${prefix}="${uri}"`)
+    .join(' ');
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?><x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"><rdf:Description rdf:about="" ${namespaces}>${properties.join(
+    ''
+  )}</rdf:Description></rdf:RDF></x:xmpmeta>${
+    padding ? ' '.repeat(2048) : ''
+  }<?xpacket end="w"?>`;
+}
+
+/**
+ * @param {string} text
+ */
+function alt(text) {
+  return `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(text)}</rdf:li></rdf:Alt>`;
+}
+
+/**
+ * @param {'Seq' | 'Bag'} type
+ * @param {string[]} values
+ */
+function list(type, values) {
+  return `<rdf:${type}>${values
+    .map((value) => `<rdf:li>${escapeXml(value)}</rdf:li>`)
+    .join('')}</rdf:${type}>`;
+}
+
+/**
+ * @param {string} [text]
+ */
+function escapeXml(text = '') {
+  return (
+    text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      // Control characters are not allowed in XML
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  );
+}
+
+/**
+ * @param {string} text
+ */
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * @param {number} record
+ * @param {number} number
+ * @param {Buffer | string} data
+ */
+function dataset(record, number, data) {
+  const value = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+  const header = Buffer.from([0x1c, record, number, 0, 0]);
+  header.writeUInt16BE(value.length, 3);
+  return Buffer.concat([header, value]);
+}
+
+/**
+ * @typedef {{ tag: number, type: number, value: Buffer }} TiffEntry
+ * Types: 2 = ASCII, 4 = LONG, 7 = UNDEFINED, whose count is the number of bytes
+ */
+
+/**
+ * @param {TiffEntry[]} ifd0
+ * @param {TiffEntry[]} exifIfd
+ */
+function buildTiff(ifd0, exifIfd) {
+  const EXIF_IFD_POINTER = 0x8769;
+  const ifdLength = (/** @type {TiffEntry[]} */ entries) => 2 + entries.length * 12 + 4;
+  const dataLength = (/** @type {TiffEntry[]} */ entries) =>
+    entries.reduce(
+      (sum, { value }) =>
+        sum + (value.length > 4 ? value.length + (value.length % 2) : 0),
+      0
+    );
+
+  // The pointer entry is added to IFD0
+  const ifd0Offset = 8;
+  const ifd0Length = ifdLength(ifd0) + 12;
+  const exifIfdOffset = ifd0Offset + ifd0Length + dataLength(ifd0);
+  const pointer = Buffer.alloc(4);
+  pointer.writeUInt32LE(exifIfdOffset);
+  const ifd0Entries = [...ifd0, { tag: EXIF_IFD_POINTER, type: 4, value: pointer }];
+
+  const buffer = Buffer.alloc(exifIfdOffset + ifdLength(exifIfd) + dataLength(exifIfd));
+  buffer.write('II*\0', 0, 'latin1');
+  buffer.writeUInt32LE(ifd0Offset, 4);
+  writeIfd(buffer, ifd0Offset, ifd0Entries);
+  writeIfd(buffer, exifIfdOffset, exifIfd);
+  return buffer;
+}
+
+/**
+ * Writes an IFD followed by the values that don't fit in its entries
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {TiffEntry[]} entries
+ */
+function writeIfd(buffer, offset, entries) {
+  const sorted = [...entries].sort((a, b) => a.tag - b.tag);
+  buffer.writeUInt16LE(sorted.length, offset);
+  let dataOffset = offset + 2 + sorted.length * 12 + 4;
+  sorted.forEach(({ tag, type, value }, i) => {
+    const entryOffset = offset + 2 + i * 12;
+    buffer.writeUInt16LE(tag, entryOffset);
+    buffer.writeUInt16LE(type, entryOffset + 2);
+    buffer.writeUInt32LE(type === 4 ? value.length / 4 : value.length, entryOffset + 4);
+    if (value.length <= 4) {
+      value.copy(buffer, entryOffset + 8);
+    } else {
+      buffer.writeUInt32LE(dataOffset, entryOffset + 8);
+      value.copy(buffer, dataOffset);
+      dataOffset += value.length + (value.length % 2);
+    }
+  });
+  // No next IFD
+  buffer.writeUInt32LE(0, offset + 2 + sorted.length * 12);
+}
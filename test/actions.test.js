@@ -0,0 +1,194 @@
+import { strict as assert } from 'assert';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { readActions, runActions, validateActions } from '../src/actions.js';
+import { ActionError, InvalidOptionError } from '../src/errors.js';
+
+/**
+ * A page recording the calls of the actions. Selectors starting with #missing match nothing.
+ */
+function fakePage() {
+  /** @type {any[][]} */
+  const calls = [];
+  /**
+   * @param {string} selector
+   */
+  const find = async (selector) => {
+    if (selector.startsWith('#missing')) {
+      throw new Error(`No node found for selector: ${selector}`);
+    }
+  };
+  const page = {
+    calls,
+    click: async (/** @type {string} */ selector) => {
+      await find(selector);
+      calls.push(['click', selector]);
+    },
+    type: async (/** @type {string} */ selector, /** @type {string} */ text) => {
+      await find(selector);
+      calls.push(['type', selector, text]);
+    },
+    waitForSelector: async (
+      /** @type {string} */ selector,
+      /** @type {any} */ options
+    ) => {
+      calls.push(['waitForSelector', selector, options]);
+    },
+    $$eval: async (/** @type {string} */ selector) => {
+      calls.push(['remove', selector]);
+      return selector.startsWith('#missing') ? 0 : 2;
+    },
+    evaluate: async (/** @type {any} */ script, /** @type {any[]} */ ...args) => {
+      calls.push(['evaluate', script, ...args]);
+    },
+  };
+  return page;
+}
+
+/**
+ * @param {any[]} actions
+ */
+async function run(actions) {
+  const page = fakePage();
+  /** @type {any} */
+  const ctx = { opts: {}, warnings: [] };
+  /** @type {any} */
+  const task = {};
+  await runActions(ctx, page, actions, task);
+  return { calls: page.calls, warnings: ctx.warnings, output: task.output };
+}
+
+describe('validateActions', () => {
+  it('accepts known actions and parameters', () => {
+    validateActions(
+      [
+        { click: '#accept' },
+        { type: '#search', text: 'archhive', optional: true },
+        { waitForSelector: '.results', timeout: 5000 },
+        { scroll: 'bottom' },
+        { remove: '.ad' },
+        { evaluate: 'document.title' },
+        { wait: '2s' },
+      ],
+      'actions',
+      'actions.json'
+    );
+  });
+
+  it('rejects other values than lists', () => {
+    assert.throws(
+      () => validateActions({ click: '#accept' }, 'actions', 'actions.json'),
+      {
+        name: InvalidOptionError.name,
+        message: 'Invalid actions in actions.json: expected a list',
+      }
+    );
+  });
+
+  it('rejects unknown actions and parameters', () => {
+    for (const action of [
+      { hover: '#menu' },
+      { click: '#accept', text: 'a' },
+      { click: '#accept', remove: '.ad' },
+      {},
+      'click',
+      null,
+    ]) {
+      assert.throws(
+        () => validateActions([{ wait: 1 }, action], 'siteProfile', 'example.com.yml'),
+        (/** @type {any} */ e) =>
+          e instanceof InvalidOptionError &&
+          e.option === 'siteProfile' &&
+          e.message.startsWith('Invalid action 2 in example.com.yml'),
+        JSON.stringify(action)
+      );
+    }
+    assert.throws(
+      () => validateActions([{ click: '#a', delay: 1 }], 'actions', 'actions.json'),
+      /unknown parameters: delay/
+    );
+  });
+
+  it('requires a text to type', () => {
+    assert.throws(
+      () => validateActions([{ type: '#search' }], 'actions', 'actions.json'),
+      /type requires a text/
+    );
+  });
+});
+
+describe('readActions', () => {
+  /** @type {string} */
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'archhive-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('reads JSON files', async () => {
+    const filename = join(dir, 'actions.json');
+    await writeFile(filename, '[{ "click": "#accept" }]');
+    assert.deepEqual(readActions(filename), [{ click: '#accept' }]);
+  });
+
+  it('rejects invalid files', async () => {
+    const filename = join(dir, 'invalid.json');
+    await writeFile(filename, '[{ "click": ');
+    assert.throws(() => readActions(filename), /Could not read actions file/);
+    assert.throws(() => readActions(join(dir, 'missing.json')), InvalidOptionError);
+  });
+});
+
+describe('runActions', () => {
+  it('runs the actions in order', async () => {
+    const { calls, output } = await run([
+      { click: '#accept' },
+      { type: '#search', text: 'archhive' },
+      { waitForSelector: '.results' },
+      { waitForSelector: '.more', timeout: 500 },
+      { scroll: 200 },
+      { remove: '.ad' },
+      { evaluate: 'document.title = "a"' },
+      { wait: 1 },
+    ]);
+    assert.deepEqual(calls, [
+      ['click', '#accept'],
+      ['type', '#search', 'archhive'],
+      ['waitForSelector', '.results', { visible: true, timeout: 30000 }],
+      ['waitForSelector', '.more', { visible: true, timeout: 500 }],
+      ['evaluate', calls[4][1], 200],
+      ['remove', '.ad'],
+      ['evaluate', 'document.title = "a"'],
+    ]);
+    assert.equal(output, 'Action 8/8: wait 1');
+  });
+
+  it('stops at the first failed action', async () => {
+    await assert.rejects(
+      run([{ click: '#accept' }, { click: '#missing' }, { wait: 1 }]),
+      {
+        name: ActionError.name,
+        message:
+          'Action 2 (click "#missing") failed: No node found for selector: #missing',
+      }
+    );
+    await assert.rejects(run([{ remove: '#missing' }]), /No element matches #missing/);
+    await assert.rejects(run([{ wait: 'soon' }]), /Invalid duration: soon/);
+  });
+
+  it('skips optional actions that fail with a warning', async () => {
+    const { calls, warnings } = await run([
+      { click: '#missing-banner', optional: true },
+      { click: '#accept' },
+    ]);
+    assert.deepEqual(calls, [['click', '#accept']]);
+    assert.deepEqual(warnings, [
+      'Action 1 (click "#missing-banner") failed: No node found for selector: #missing-banner',
+    ]);
+  });
+});
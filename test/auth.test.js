@@ -0,0 +1,214 @@
+import { strict as assert } from 'assert';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { addCredentials, parseHeaders, readCookies } from '../src/auth.js';
+import { InvalidOptionError } from '../src/errors.js';
+
+const NETSCAPE_COOKIES = [
+  '# Netscape HTTP Cookie File',
+  '',
+  '.example.com\tTRUE\t/\tTRUE\t1924992000\tsession_id\tabc\tdef',
+  '#HttpOnly_example.com\tFALSE\t/account\tFALSE\t0\ttoken\txyz',
+  '.archive.org\tTRUE\t/\tFALSE\t1924992000\tlogged-in-user\tjane',
+  'archive.ph\tFALSE\t/\tFALSE\t0\tqki\t1',
+].join('\n');
+
+const JSON_COOKIES = [
+  {
+    name: 'session_id',
+    value: 'abc',
+    domain: '.example.com',
+    path: '/',
+    secure: true,
+    httpOnly: true,
+    sameSite: 'no_restriction',
+    expirationDate: 1924992000,
+  },
+  { name: 'token', value: 1, domain: 'example.com', session: true, expires: 1924992000 },
+  { name: 'logged-in-user', value: 'jane', domain: 'web.archive.org' },
+];
+
+describe('readCookies', () => {
+  /** @type {string} */
+  let dir;
+
+  /**
+   * @param {string} name
+   * @param {string} content
+   */
+  async function cookiesFile(name, content) {
+    const filename = join(dir, name);
+    await writeFile(filename, content);
+    return filename;
+  }
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'archhive-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('reads Netscape cookies.txt files', async () => {
+    const cookies = readCookies(await cookiesFile('cookies.txt', NETSCAPE_COOKIES));
+    assert.deepEqual(cookies, [
+      {
+        name: 'session_id',
+        value: 'abc\tdef',
+        domain: '.example.com',
+        path: '/',
+        secure: true,
+        httpOnly: false,
+        expires: 1924992000,
+      },
+      {
+        name: 'token',
+        value: 'xyz',
+        domain: 'example.com',
+        path: '/account',
+        secure: false,
+        httpOnly: true,
+      },
+    ]);
+  });
+
+  it('reads JSON cookie lists', async () => {
+    const filename = await cookiesFile('cookies.json', JSON.stringify(JSON_COOKIES));
+    assert.deepEqual(readCookies(filename), [
+      {
+        name: 'session_id',
+        value: 'abc',
+        domain: '.example.com',
+        path: '/',
+        secure: true,
+        httpOnly: true,
+        expires: 1924992000,
+        sameSite: 'None',
+      },
+      {
+        name: 'token',
+        value: '1',
+        domain: 'example.com',
+        path: '/',
+        secure: false,
+        httpOnly: false,
+      },
+    ]);
+  });
+
+  it('reads JSON objects with a cookies list', async () => {
+    const filename = await cookiesFile(
+      'storage.json',
+      JSON.stringify({ cookies: [{ name: 'a', value: 'b', domain: 'example.com' }] })
+    );
+    assert.deepEqual(
+      readCookies(filename).map((cookie) => cookie.name),
+      ['a']
+    );
+  });
+
+  it('rejects invalid cookies', async () => {
+    const netscape = await cookiesFile('invalid.txt', 'example.com\tFALSE\t/\n');
+    assert.throws(() => readCookies(netscape), {
+      name: InvalidOptionError.name,
+      message: /Invalid cookie 1/,
+    });
+    const json = await cookiesFile('invalid.json', '[{"name": "a"}]');
+    assert.throws(() => readCookies(json), /Invalid cookie 1/);
+    const syntax = await cookiesFile('syntax.json', '[{');
+    assert.throws(() => readCookies(syntax), /Invalid cookies file/);
+  });
+
+  it('rejects missing files', () => {
+    assert.throws(() => readCookies(join(dir, 'missing.txt')), {
+      name: InvalidOptionError.name,
+      message: /Could not read cookies file/,
+    });
+  });
+});
+
+describe('parseHeaders', () => {
+  it('parses name and value', () => {
+    assert.deepEqual(parseHeaders(['Authorization: Bearer a:b ', 'X-Test:1']), [
+      ['Authorization', 'Bearer a:b'],
+      ['X-Test', '1'],
+    ]);
+    assert.deepEqual(parseHeaders('Cookie: a=b'), [['Cookie', 'a=b']]);
+    assert.deepEqual(parseHeaders(undefined), []);
+  });
+
+  it('rejects headers without a name', () => {
+    assert.throws(() => parseHeaders(['Bearer token']), InvalidOptionError);
+    assert.throws(() => parseHeaders([': value']), InvalidOptionError);
+  });
+});
+
+describe('addCredentials', () => {
+  /**
+   * Requests the URLs in a page with the credentials of the options
+   * @param {Record<string, any>} opts
+   * @param {string[]} urls
+   * @returns {Promise<Record<string, any>>} Headers the requests were continued with
+   */
+  async function request(opts, urls) {
+    /** @type {any[]} */
+    const handlers = [];
+    let intercepted = false;
+    const page = {
+      setRequestInterception: async (/** @type {boolean} */ value) => {
+        intercepted = value;
+      },
+      on: (/** @type {string} */ event, /** @type {any} */ handler) => {
+        if (event === 'request') handlers.push(handler);
+      },
+    };
+    /** @type {any} */
+    const ctx = { loggedIn: true, browser: {}, opts };
+    await addCredentials(ctx, page);
+    assert.ok(intercepted);
+
+    /** @type {Record<string, any>} */
+    const sent = {};
+    for (const url of urls) {
+      let continued = 0;
+      const request = {
+        url: () => url,
+        headers: () => ({ accept: '*/*' }),
+        continue: (/** @type {any} */ overrides = {}) => {
+          continued++;
+          sent[url] = overrides.headers;
+        },
+      };
+      handlers.forEach((handler) => handler(request));
+      assert.equal(continued, 1, url);
+    }
+    return sent;
+  }
+
+  it('only sends the headers to the site of the URL', async () => {
+    const headers = { accept: '*/*', Authorization: 'Bearer token' };
+    const sent = await request(
+      { url: 'https://www.example.com/article', header: ['Authorization: Bearer token'] },
+      [
+        'https://www.example.com/article',
+        'https://example.com/api',
+        'https://static.example.com/app.js',
+        'https://tracker.test/pixel.gif',
+        'https://notexample.com/',
+        'https://web.archive.org/web/2021/https://example.com/',
+        'https://archive.ph/submit/',
+      ]
+    );
+    assert.deepEqual(sent, {
+      'https://www.example.com/article': headers,
+      'https://example.com/api': headers,
+      'https://static.example.com/app.js': headers,
+      'https://tracker.test/pixel.gif': undefined,
+      'https://notexample.com/': undefined,
+      'https://web.archive.org/web/2021/https://example.com/': undefined,
+      'https://archive.ph/submit/': undefined,
+    });
+  });
+});
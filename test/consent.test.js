@@ -0,0 +1,199 @@
+import { strict as assert } from 'assert';
+import { JSDOM } from 'jsdom';
+import { handleConsent, validateConsent } from '../src/consent.js';
+import { InvalidOptionError } from '../src/errors.js';
+
+/**
+ * A page with the given HTML. Functions evaluated in it run with its window and document as
+ * globals. jsdom does not lay out pages: elements are visible unless they are hidden.
+ * @param {string} html
+ */
+function fakePage(html) {
+  const { window } = new JSDOM(html, { url: 'https://example.com/' });
+  window.HTMLElement.prototype.getClientRects = function () {
+    return /** @type {any} */ (this.hidden ? [] : [{}]);
+  };
+  /** @type {string[]} */
+  const clicked = [];
+  /** @type {string[]} */
+  const visited = [];
+  window.document.addEventListener('click', (event) => {
+    const element = /** @type {HTMLElement} */ (event.target);
+    clicked.push(element.textContent || element.getAttribute('aria-label'));
+  });
+
+  /**
+   * @param {Function} fn
+   * @param {any} arg
+   */
+  const evaluate = async (fn, arg) => {
+    const globals = {
+      window,
+      document: window.document,
+      getComputedStyle: window.getComputedStyle,
+    };
+    Object.assign(globalThis, globals);
+    try {
+      return fn(arg);
+    } finally {
+      for (const name of Object.keys(globals)) {
+        delete (/** @type {any} */ (globalThis)[name]);
+      }
+    }
+  };
+  return {
+    window,
+    clicked,
+    visited,
+    url: () => window.location.href,
+    frames: () => [{ evaluate }],
+    evaluate,
+    waitForFunction: async () => {},
+    waitForNavigation: async () => {
+      throw new Error('Navigation timeout of 3000 ms exceeded');
+    },
+    goto: async (/** @type {string} */ url) => {
+      visited.push(url);
+    },
+  };
+}
+
+/**
+ * @param {any} page
+ * @param {string} consent
+ * @param {Record<string, any>} [opts]
+ */
+async function dismiss(page, consent, opts = {}) {
+  /** @type {any} */
+  const ctx = { opts: { consent, ...opts }, warnings: [] };
+  /** @type {any} */
+  const task = {};
+  await handleConsent(ctx, page, task);
+  return { ctx, task };
+}
+
+describe('validateConsent', () => {
+  it('accepts the consent modes', () => {
+    for (const mode of ['reject', 'accept', 'hide', undefined]) validateConsent(mode);
+    assert.throws(() => validateConsent('ignore'), InvalidOptionError);
+  });
+});
+
+describe('handleConsent', () => {
+  it('clicks the button of known consent platforms', async () => {
+    const html = `<div id="onetrust-consent-sdk">
+      <button id="onetrust-accept-btn-handler">I'm OK with that</button>
+      <button id="onetrust-reject-all-handler">No thanks</button>
+    </div>`;
+    const page = fakePage(html);
+    await dismiss(page, 'reject');
+    assert.deepEqual(page.clicked, ['No thanks']);
+
+    const acceptPage = fakePage(html);
+    await dismiss(acceptPage, 'accept');
+    assert.deepEqual(acceptPage.clicked, ["I'm OK with that"]);
+  });
+
+  it('clicks the secondary button of Quantcast banners to reject', async () => {
+    const page = fakePage(`<div id="qc-cmp2-container"><div class="qc-cmp2-summary-buttons">
+      <button mode="secondary">NICHT ZUSTIMMEN</button>
+      <button mode="primary">ZUSTIMMEN</button>
+    </div></div>`);
+    await dismiss(page, 'reject');
+    assert.deepEqual(page.clicked, ['NICHT ZUSTIMMEN']);
+  });
+
+  it('uses the API of consent platforms', async () => {
+    const page = fakePage(
+      '<div id="didomi-host"><button id="didomi-notice-agree-button">Agree</button></div>'
+    );
+    /** @type {string[]} */
+    const calls = [];
+    Object.assign(page.window, {
+      Didomi: {
+        setUserAgreeToAll: () => calls.push('agree'),
+        setUserDisagreeToAll: () => calls.push('disagree'),
+      },
+    });
+    await dismiss(page, 'reject');
+    assert.deepEqual(calls, ['disagree']);
+    assert.deepEqual(page.clicked, []);
+  });
+
+  it('clicks the button with the most specific label in other banners', async () => {
+    const html = `<div class="cookie-banner">
+      <button>Reject</button>
+      <button>Accept all</button>
+      <button hidden>Accept</button>
+      <span role="button">REJECT ALL</span>
+    </div>`;
+    const page = fakePage(html);
+    await dismiss(page, 'reject');
+    assert.deepEqual(page.clicked, ['REJECT ALL']);
+
+    const acceptPage = fakePage(html);
+    await dismiss(acceptPage, 'accept');
+    assert.deepEqual(acceptPage.clicked, ['Accept all']);
+  });
+
+  it('finds buttons by their ARIA label', async () => {
+    const page = fakePage(
+      '<div id="gdpr-dialog"><button aria-label="Alle ablehnen"></button></div>'
+    );
+    await dismiss(page, 'reject');
+    assert.deepEqual(page.clicked, ['Alle ablehnen']);
+  });
+
+  it('does not click buttons outside of banners', async () => {
+    const page = fakePage('<main><button>Accept</button><button>Reject</button></main>');
+    await dismiss(page, 'accept');
+    assert.deepEqual(page.clicked, []);
+  });
+
+  it('does not click links or buttons of the page', async () => {
+    const page = fakePage(`<div id="cookie-notice"><a href="#accept">Accept</a></div>
+      <main><button>Accept</button></main>`);
+    await dismiss(page, 'accept');
+    assert.deepEqual(page.clicked, []);
+  });
+
+  it('goes back to the page if a click navigated away', async () => {
+    const page = fakePage('<div class="consent"><button>Accept</button></div>');
+    page.window.document.querySelector('button').addEventListener('click', () => {
+      page.window.location.hash = 'privacy';
+    });
+    const { ctx } = await dismiss(page, 'accept');
+    assert.deepEqual(page.clicked, ['Accept']);
+    assert.deepEqual(page.visited, ['https://example.com/']);
+    assert.deepEqual(ctx.warnings, [
+      'Dismissing the consent banner navigated to https://example.com/#privacy, going back',
+    ]);
+  });
+
+  it('hides banners without clicking in hide and noscript modes', async () => {
+    const html = `<div id="CybotCookiebotDialog"><button>Accept all</button></div>
+      <div class="cc-window"></div>`;
+    for (const { mode, opts } of [
+      { mode: 'hide', opts: {} },
+      { mode: 'accept', opts: { noscript: true } },
+    ]) {
+      const page = fakePage(html);
+      await dismiss(page, mode, opts);
+      assert.deepEqual(page.clicked, []);
+      for (const selector of ['#CybotCookiebotDialog', '.cc-window']) {
+        const element = /** @type {HTMLElement} */ (page.window.document.querySelector(
+          selector
+        ));
+        assert.equal(element.style.display, 'none');
+      }
+    }
+  });
+
+  it('restores the scrolling of the page', async () => {
+    const page = fakePage(
+      '<body style="overflow-y: hidden"><div class="cc-banner"></div></body>'
+    );
+    await dismiss(page, 'hide');
+    assert.equal(page.window.document.body.style.overflow, 'visible');
+  });
+});
@@ -0,0 +1,68 @@
+import { strict as assert } from 'assert';
+import {
+  decode,
+  decodeGeneralizedTime,
+  decodeObjectIdentifier,
+  encode,
+  integer,
+  objectIdentifier,
+  sequence,
+  TAGS,
+} from '../src/der.js';
+
+describe('der', () => {
+  it('encodes short and long lengths', () => {
+    assert.deepEqual(
+      encode(TAGS.OCTET_STRING, Buffer.alloc(3)).subarray(0, 2),
+      Buffer.from([4, 3])
+    );
+    const long = encode(TAGS.OCTET_STRING, Buffer.alloc(300));
+    assert.deepEqual(long.subarray(0, 4), Buffer.from([4, 0x82, 1, 44]));
+    assert.equal(decode(long).content.length, 300);
+  });
+
+  it('keeps integers positive and minimal', () => {
+    assert.deepEqual(integer(Buffer.from([0, 0, 1])), Buffer.from([2, 1, 1]));
+    assert.deepEqual(integer(Buffer.from([0x80])), Buffer.from([2, 2, 0, 0x80]));
+    assert.deepEqual(integer(Buffer.from([0])), Buffer.from([2, 1, 0]));
+  });
+
+  it('round-trips object identifiers', () => {
+    for (const oid of [
+      '1.2.840.113549.1.9.16.1.4',
+      '2.16.840.1.101.3.4.2.1',
+      '2.5.4.3',
+    ]) {
+      assert.equal(decodeObjectIdentifier(decode(objectIdentifier(oid)).content), oid);
+    }
+    // SHA-256
+    assert.equal(
+      objectIdentifier('2.16.840.1.101.3.4.2.1').toString('hex'),
+      '0609608648016503040201'
+    );
+  });
+
+  it('decodes constructed elements recursively', () => {
+    const der = sequence(
+      integer(Buffer.from([1])),
+      sequence(encode(TAGS.NULL, Buffer.alloc(0)))
+    );
+    const element = decode(der);
+    assert.equal(element.tag, TAGS.SEQUENCE);
+    assert.deepEqual(element.bytes, der);
+    assert.equal(element.children.length, 2);
+    assert.equal(element.children[1].children[0].tag, TAGS.NULL);
+  });
+
+  it('rejects truncated data', () => {
+    assert.throws(() => decode(Buffer.from([0x30, 5, 0])), /Invalid DER/);
+  });
+
+  it('decodes generalized times', () => {
+    const time = (text) =>
+      decodeGeneralizedTime(Buffer.from(text, 'latin1')).toISOString();
+    assert.equal(time('20210102030405Z'), '2021-01-02T03:04:05.000Z');
+    assert.equal(time('20210102030405.25Z'), '2021-01-02T03:04:05.250Z');
+    assert.throws(() => time('20210102030405+0100'), /Unsupported time/);
+  });
+});
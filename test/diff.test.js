@@ -0,0 +1,78 @@
+import { strict as assert } from 'assert';
+import Jimp from 'jimp';
+import { diffImages, getTextChange } from '../src/diff.js';
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [color] RGBA
+ */
+function image(width, height, color = 0x336699ff) {
+  return new Jimp(width, height, color);
+}
+
+describe('diffImages', () => {
+  it('finds no change between identical images', () => {
+    const { image: diff, percent } = diffImages(image(40, 20), image(40, 20));
+    assert.equal(percent, 0);
+    assert.equal(diff.bitmap.width, 40);
+    assert.equal(diff.bitmap.height, 20);
+  });
+
+  it('ignores small differences of color, e.g. JPEG noise', () => {
+    assert.equal(
+      diffImages(image(40, 20, 0x336699ff), image(40, 20, 0x5386b9ff)).percent,
+      0
+    );
+    assert.equal(
+      diffImages(image(40, 20, 0x336699ff), image(40, 20, 0x5486b9ff)).percent,
+      100
+    );
+  });
+
+  it('counts the changed pixels', () => {
+    const after = image(40, 20);
+    for (let x = 0; x < 10; x++) after.setPixelColor(0xff0000ff, x, 0);
+    assert.equal(diffImages(image(40, 20), after).percent, (10 / 800) * 100);
+  });
+
+  it('highlights the blocks with changes and fades the others', () => {
+    const after = image(40, 20, 0x000000ff);
+    const before = after.clone().setPixelColor(0xffffffff, 20, 5);
+    const { image: diff } = diffImages(before, after);
+    // The changed pixel is in the second block of 16 pixels
+    assert.deepEqual(Jimp.intToRGBA(diff.getPixelColor(16, 0)), {
+      r: 128,
+      g: 0,
+      b: 0,
+      a: 255,
+    });
+    assert.deepEqual(Jimp.intToRGBA(diff.getPixelColor(0, 0)), {
+      r: 179,
+      g: 179,
+      b: 179,
+      a: 255,
+    });
+    assert.deepEqual(Jimp.intToRGBA(diff.getPixelColor(32, 0)), {
+      r: 179,
+      g: 179,
+      b: 179,
+      a: 255,
+    });
+  });
+
+  it('compares images of different sizes as if padded with white', () => {
+    const { image: diff, percent } = diffImages(image(20, 10), image(40, 10, 0xffffffff));
+    assert.equal(diff.bitmap.width, 40);
+    assert.equal(percent, 50);
+  });
+});
+
+describe('getTextChange', () => {
+  it('is the percentage of lines added or removed', () => {
+    assert.equal(getTextChange('a\nb\nc\n', 'a\nb\nc\n'), 0);
+    assert.equal(getTextChange('a\nb\n', 'a\nc\n'), 50);
+    assert.equal(getTextChange('', 'a\nb\n'), 100);
+    assert.equal(getTextChange('', ''), 0);
+  });
+});
@@ -0,0 +1,200 @@
+import { strict as assert } from 'assert';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import Jimp from 'jimp';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { readEmbeddedMetadata, writeEmbeddedMetadata } from '../src/embed.js';
+
+/** @type {import('../src/types').EmbeddedMetadata} */
+const METADATA = {
+  title: 'Example Domain – “quotes” & <tags>',
+  description: 'Example Domain\nhttps://example.com/\n\nÜnïcödé 日本語',
+  creator: 'Jane Doe',
+  source: 'https://example.com/',
+  keywords: ['archive', 'example'],
+  date: new Date('2021-02-03T04:05:06Z'),
+  creatorTool: 'archhive 0.1.0',
+  archives: [
+    {
+      name: 'archive.org',
+      url: 'https://web.archive.org/web/20210203040506/https://example.com/',
+      shortUrl: 'https://v.gd/example',
+    },
+    // As built by getEmbeddedMetadata() for archivers without short URLs
+    { name: 'archive.today', url: 'https://archive.ph/abcde', shortUrl: undefined },
+  ],
+};
+
+/** 1x1 lossless WebP */
+const WEBP = Buffer.from('UklGRhoAAABXRUJQVlA4TA0AAAAvAAAAEAcQERGIiP4HAA==', 'base64');
+
+/**
+ * Builds a one-page PDF with a valid cross-reference table, or stream.
+ * @param {boolean} [xrefStream]
+ */
+function buildPdf(xrefStream = false) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 100 100] >>',
+  ];
+  let pdf = xrefStream ? '%PDF-1.5\n' : '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  if (xrefStream) {
+    // The stream is the last object, with entries of 1 + 4 + 2 bytes
+    const entries = Buffer.alloc(7 * (objects.length + 2));
+    entries.writeUInt16BE(0xffff, 5);
+    [...offsets, xref].forEach((offset, i) => {
+      entries.writeUInt8(1, 7 * (i + 1));
+      entries.writeUInt32BE(offset, 7 * (i + 1) + 1);
+    });
+    return Buffer.concat([
+      Buffer.from(
+        `${pdf}${objects.length + 1} 0 obj\n<< /Type /XRef /Size ${
+          objects.length + 2
+        } /Root 1 0 R /W [1 4 2] /Length ${entries.length} >>\nstream\n`,
+        'latin1'
+      ),
+      entries,
+      Buffer.from(`\nendstream\nendobj\nstartxref\n${xref}\n%%EOF\n`, 'latin1'),
+    ]);
+  }
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f\r\n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, '0')} 00000 n\r\n`)
+    .join('');
+  pdf += `trailer\n<< /Size ${
+    objects.length + 1
+  } /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Reads the entries of the last cross-reference stream of a PDF, written with /W [1 4 2].
+ * @param {Buffer} pdf
+ * @returns {{ number: number, offset: number }[]}
+ */
+function readXrefStream(pdf) {
+  const text = pdf.toString('latin1');
+  const start = Number(
+    text
+      .slice(text.lastIndexOf('startxref') + 9)
+      .trim()
+      .split(/\s/)[0]
+  );
+  const dictionary = text.slice(start, text.indexOf('stream', start));
+  assert.match(dictionary, /\/Type \/XRef/);
+  assert.match(dictionary, /\/W \[1 4 2\]/);
+  const index = dictionary
+    .match(/\/Index \[([\d\s]+)\]/)[1]
+    .split(/\s+/)
+    .map(Number);
+  let position = text.indexOf('stream\n', start) + 7;
+  const entries = [];
+  for (let i = 0; i < index.length; i += 2) {
+    for (let number = index[i]; number < index[i] + index[i + 1]; number++) {
+      assert.equal(pdf.readUInt8(position), 1);
+      entries.push({ number, offset: pdf.readUInt32BE(position + 1) });
+      position += 7;
+    }
+  }
+  return entries;
+}
+
+/**
+ * @param {Partial<import('../src/types').EmbeddedMetadata>} metadata
+ */
+function withoutMilliseconds(metadata) {
+  return { ...metadata, date: Math.floor(metadata.date.getTime() / 1000) };
+}
+
+describe('embedded metadata', () => {
+  /** @type {string} */
+  let dir;
+  /** @type {Record<string, Buffer>} */
+  const files = {};
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'archhive-'));
+    const image = new Jimp(4, 4, 0xff0000ff);
+    files.jpg = await image.getBufferAsync(Jimp.MIME_JPEG);
+    files.png = await image.getBufferAsync(Jimp.MIME_PNG);
+    files.webp = WEBP;
+    files.pdf = buildPdf();
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  for (const extension of ['jpg', 'png', 'webp', 'pdf']) {
+    it(`round-trips the metadata of ${extension} files`, async () => {
+      const filename = join(dir, `capture.${extension}`);
+      await writeFile(filename, files[extension]);
+      await writeEmbeddedMetadata(filename, METADATA);
+      assert.deepEqual(
+        withoutMilliseconds(await readEmbeddedMetadata(filename)),
+        withoutMilliseconds(METADATA)
+      );
+    });
+
+    it(`replaces the metadata of ${extension} files`, async () => {
+      const filename = join(dir, `rewritten.${extension}`);
+      await writeFile(filename, files[extension]);
+      await writeEmbeddedMetadata(filename, { ...METADATA, title: 'First' });
+      await writeEmbeddedMetadata(filename, METADATA);
+      assert.equal((await readEmbeddedMetadata(filename)).title, METADATA.title);
+    });
+  }
+
+  for (const extension of ['jpg', 'png']) {
+    it(`keeps ${extension} images readable`, async () => {
+      const filename = join(dir, `image.${extension}`);
+      await writeFile(filename, files[extension]);
+      await writeEmbeddedMetadata(filename, METADATA);
+      const image = await Jimp.read(await readFile(filename));
+      assert.equal(image.bitmap.width, 4);
+    });
+  }
+
+  it('splits long descriptions into extended XMP in jpg files', async () => {
+    const filename = join(dir, 'long.jpg');
+    const metadata = { ...METADATA, description: 'ocr text '.repeat(20000) };
+    await writeFile(filename, files.jpg);
+    await writeEmbeddedMetadata(filename, metadata);
+    assert.equal(
+      (await readEmbeddedMetadata(filename)).description,
+      metadata.description
+    );
+  });
+
+  it('appends a cross-reference stream to pdf files that have one', async () => {
+    const filename = join(dir, 'xref-stream.pdf');
+    await writeFile(filename, buildPdf(true));
+    await writeEmbeddedMetadata(filename, { ...METADATA, title: 'First' });
+    await writeEmbeddedMetadata(filename, METADATA);
+    assert.deepEqual(
+      withoutMilliseconds(await readEmbeddedMetadata(filename)),
+      withoutMilliseconds(METADATA)
+    );
+
+    const pdf = await readFile(filename);
+    const text = pdf.toString('latin1');
+    assert.ok(!text.includes('trailer'));
+    const entries = readXrefStream(pdf);
+    // The info object and the stream itself
+    assert.equal(entries.length, 2);
+    for (const { number, offset } of entries) {
+      assert.ok(text.startsWith(`${number} 0 obj`, offset), `object ${number}`);
+    }
+  });
+
+  it('rejects unsupported files', async () => {
+    await assert.rejects(writeEmbeddedMetadata(join(dir, 'file.gif'), METADATA), /gif/);
+  });
+});
@@ -0,0 +1,116 @@
+import { strict as assert } from 'assert';
+import { createHash, generateKeyPairSync, sign } from 'crypto';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { verifyManifest } from '../src/manifest.js';
+
+const fixture = (/** @type {string} */ name) =>
+  new URL(`fixtures/${name}`, import.meta.url);
+
+describe('verifyManifest', () => {
+  /** @type {string} */
+  let dir;
+  const { privateKey, publicKey } = generateKeyPairSync('ed25519');
+  const publicKeyPem = /** @type {string} */ (publicKey.export({
+    type: 'spki',
+    format: 'pem',
+  }));
+
+  /**
+   * @param {string} name
+   * @param {any} manifest
+   * @param {Record<string, any>} [extra] Signature and timestamp
+   */
+  async function writeManifest(name, manifest, extra = {}) {
+    const filename = join(dir, `${name}.manifest.json`);
+    await writeFile(filename, JSON.stringify({ manifest, ...extra }));
+    return filename;
+  }
+
+  /**
+   * @param {any} manifest
+   */
+  function signManifest(manifest) {
+    return {
+      signature: {
+        algorithm: 'ed25519',
+        publicKey: publicKeyPem,
+        value: sign(null, Buffer.from(JSON.stringify(manifest)), privateKey).toString(
+          'base64'
+        ),
+      },
+    };
+  }
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'archhive-'));
+    await writeFile(join(dir, 'capture.jpg'), 'image');
+    await writeFile(join(dir, 'key.pub'), publicKeyPem);
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const manifest = {
+    url: 'https://example.com/',
+    files: [
+      {
+        filename: 'capture.jpg',
+        sha256: createHash('sha256').update('image').digest('hex'),
+      },
+    ],
+  };
+
+  it('passes an unsigned manifest whose files match', async () => {
+    const result = await verifyManifest(await writeManifest('unsigned', manifest));
+    assert.ok(result.ok);
+  });
+
+  it('reports modified files', async () => {
+    const modified = { ...manifest, files: [{ ...manifest.files[0], sha256: '00' }] };
+    const result = await verifyManifest(await writeManifest('modified', modified));
+    assert.ok(!result.ok);
+    assert.equal(result.checks[0].detail, 'modified (hash mismatch)');
+  });
+
+  it('does not trust the key included in the manifest', async () => {
+    const filename = await writeManifest('signed', manifest, signManifest(manifest));
+    const result = await verifyManifest(filename);
+    const signature = result.checks.find((check) => check.name === 'signature');
+    assert.ok(!result.ok);
+    assert.ok(signature.unverified);
+  });
+
+  it('verifies the signature with --public-key', async () => {
+    const filename = await writeManifest('pinned', manifest, signManifest(manifest));
+    assert.ok((await verifyManifest(filename, { publicKey: join(dir, 'key.pub') })).ok);
+  });
+
+  it('rejects signatures of modified manifests', async () => {
+    const filename = await writeManifest('resigned', manifest, {
+      signature: signManifest({ ...manifest, url: 'https://example.org/' }).signature,
+    });
+    const result = await verifyManifest(filename, { publicKey: join(dir, 'key.pub') });
+    const signature = result.checks.find((check) => check.name === 'signature');
+    assert.ok(!result.ok);
+    assert.ok(!signature.unverified);
+  });
+
+  it('only trusts timestamps with --tsa-cert', async () => {
+    // The payload of this manifest is the timestamped fixture
+    const timestamped = JSON.parse(await readFile(fixture('timestamped.json'), 'utf8'));
+    const filename = await writeManifest('timestamped', timestamped, {
+      timestamp: { token: (await readFile(fixture('timestamp.tsr'))).toString('base64') },
+    });
+    const unpinned = await verifyManifest(filename);
+    assert.ok(!unpinned.ok);
+    assert.ok(unpinned.checks.find((check) => check.name === 'timestamp').unverified);
+
+    const tsaCert = fixture('tsa.crt').pathname;
+    assert.ok((await verifyManifest(filename, { tsaCert })).ok);
+    const otherTsaCert = fixture('other-tsa.crt').pathname;
+    assert.ok(!(await verifyManifest(filename, { tsaCert: otherTsaCert })).ok);
+  });
+});
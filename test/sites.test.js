@@ -0,0 +1,155 @@
+import { strict as assert } from 'assert';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { basename, join } from 'path';
+import { InvalidOptionError } from '../src/errors.js';
+import { findSiteProfile, loadSiteProfile } from '../src/sites.js';
+
+describe('findSiteProfile', () => {
+  /** @type {string} */
+  let sitesDir;
+
+  /**
+   * @param {string} url
+   * @returns {string | undefined} The filename of the profile found
+   */
+  function profileOf(url) {
+    const profile = findSiteProfile(url, { sitesDir });
+    return profile && basename(profile.filename);
+  }
+
+  before(async () => {
+    sitesDir = await mkdtemp(join(tmpdir(), 'archhive-'));
+    await writeFile(join(sitesDir, 'example.com.yml'), 'filters: example.com##.ad\n');
+    await writeFile(
+      join(sitesDir, '*.example.com.yml'),
+      'filters: example.com##.banner\n'
+    );
+    await writeFile(
+      join(sitesDir, 'www.example.com.yml'),
+      'filters: example.com##.popup\n'
+    );
+    await writeFile(
+      join(sitesDir, 'news.yaml'),
+      'hosts: [news.example.org, EXAMPLE.NET]\n'
+    );
+    await writeFile(join(sitesDir, 'README.md'), '# Site profiles\n');
+  });
+
+  after(async () => {
+    await rm(sitesDir, { recursive: true, force: true });
+  });
+
+  it('prefers the profile of the exact host', () => {
+    assert.equal(profileOf('https://example.com/'), 'example.com.yml');
+    assert.equal(profileOf('https://WWW.example.com/page'), 'www.example.com.yml');
+  });
+
+  it('only applies wildcard profiles to subdomains', () => {
+    assert.equal(profileOf('https://blog.example.com/'), '*.example.com.yml');
+    assert.equal(profileOf('https://a.b.example.com/'), '*.example.com.yml');
+    assert.equal(profileOf('https://a.www.example.com/'), 'www.example.com.yml');
+  });
+
+  it('applies profiles to subdomains of their host', () => {
+    assert.equal(profileOf('https://news.example.org/'), 'news.yaml');
+    assert.equal(profileOf('https://cdn.example.net/'), 'news.yaml');
+  });
+
+  it('does not match other domains', () => {
+    assert.equal(profileOf('https://notexample.com/'), undefined);
+    assert.equal(profileOf('https://example.org/'), undefined);
+    assert.equal(profileOf('https://example.com.evil.test/'), undefined);
+  });
+
+  it('can be disabled or replaced', () => {
+    assert.equal(
+      findSiteProfile('https://example.com/', { sitesDir, siteProfile: false }),
+      undefined
+    );
+    const siteProfile = join(sitesDir, 'news.yaml');
+    assert.equal(
+      findSiteProfile('https://example.com/', { sitesDir, siteProfile }).filename,
+      siteProfile
+    );
+  });
+
+  it('ignores a missing directory', () => {
+    const missing = join(sitesDir, 'missing');
+    assert.equal(
+      findSiteProfile('https://example.com/', { sitesDir: missing }),
+      undefined
+    );
+  });
+
+  it('skips invalid profiles of other sites with a warning', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'archhive-'));
+    try {
+      await writeFile(join(dir, 'example.com.yml'), 'filters: example.com##.ad\n');
+      await writeFile(join(dir, 'broken.test.yml'), 'filters: [\n');
+      /** @type {any} */
+      const ctx = { warnings: [] };
+      const profile = findSiteProfile('https://example.com/', { sitesDir: dir }, ctx);
+      assert.equal(profile.filters, 'example.com##.ad');
+      findSiteProfile('https://www.example.com/', { sitesDir: dir }, ctx);
+      assert.equal(ctx.warnings.length, 1);
+      assert.match(
+        ctx.warnings[0],
+        /^Skipping the site profile .*broken\.test\.yml: Could not read site profile/
+      );
+
+      assert.throws(
+        () => findSiteProfile('https://broken.test/', { sitesDir: dir }),
+        InvalidOptionError
+      );
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('loadSiteProfile', () => {
+  /** @type {string} */
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'archhive-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('reads options like on the command line', async () => {
+    const filename = join(dir, 'example.com.yml');
+    await writeFile(
+      filename,
+      [
+        'stylesheet: styles/example.css',
+        'filters:',
+        '  - example.com##.ad',
+        '  - example.com##.banner',
+        'options:',
+        '  wait-for: 2000',
+        '  noScript: true',
+        '  url: https://example.org/',
+        '  sites-dir: other',
+      ].join('\n')
+    );
+    assert.deepEqual(loadSiteProfile(filename), {
+      filename,
+      hosts: [],
+      stylesheet: join(dir, 'styles/example.css'),
+      filters: 'example.com##.ad\nexample.com##.banner',
+      options: { waitFor: 2000, noScript: true },
+      actions: [],
+    });
+  });
+
+  it('rejects invalid profiles', async () => {
+    const filename = join(dir, 'list.yml');
+    await writeFile(filename, '- example.com\n');
+    assert.throws(() => loadSiteProfile(filename), /Invalid site profile/);
+    assert.throws(() => loadSiteProfile(join(dir, 'missing.yml')), /Could not read/);
+  });
+});
@@ -0,0 +1,111 @@
+import { strict as assert } from 'assert';
+import {
+  findClosestSnapshot,
+  parseCdx,
+  parseTimemap,
+  parseWaybackTimestamp,
+} from '../src/archive/snapshots.js';
+
+const CDX = JSON.stringify([
+  ['timestamp', 'original', 'statuscode'],
+  ['20200102030405', 'https://example.com/', '200'],
+  ['20200601000000', 'https://example.com/', '404'],
+  ['20210301120000', 'http://example.com/', '-'],
+]);
+
+const TIMEMAP = `<https://example.com/>; rel="original",
+<https://archive.today/timemap/link/https://example.com/>; rel="self"; type="application/link-format"; from="Tue, 02 Jun 2020 10:00:00 GMT",
+<https://archive.today/>; rel="timegate",
+<http://archive.md/20210301120000/https://example.com/>; rel="last memento"; datetime="Mon, 01 Mar 2021 12:00:00 GMT",
+<http://archive.md/20200602100000/https://example.com/>; rel="first memento"; datetime="Tue, 02 Jun 2020 10:00:00 GMT",
+<http://archive.md/20201015083000/https://example.com/>; rel="memento"; datetime="Thu, 15 Oct 2020 08:30:00 GMT"`;
+
+describe('parseCdx', () => {
+  it('parses the captures after the header row', () => {
+    assert.deepEqual(parseCdx(CDX), [
+      {
+        archiver: 'archive.org',
+        url: 'https://web.archive.org/web/20200102030405/https://example.com/',
+        date: new Date('2020-01-02T03:04:05Z'),
+        status: 200,
+      },
+      {
+        archiver: 'archive.org',
+        url: 'https://web.archive.org/web/20200601000000/https://example.com/',
+        date: new Date('2020-06-01T00:00:00Z'),
+        status: 404,
+      },
+      {
+        archiver: 'archive.org',
+        url: 'https://web.archive.org/web/20210301120000/http://example.com/',
+        date: new Date('2021-03-01T12:00:00Z'),
+        status: undefined,
+      },
+    ]);
+  });
+
+  it('parses empty responses', () => {
+    assert.deepEqual(parseCdx(''), []);
+    assert.deepEqual(parseCdx('\n'), []);
+    assert.deepEqual(parseCdx('[]'), []);
+  });
+});
+
+describe('parseTimemap', () => {
+  it('lists the mementos, oldest first', () => {
+    assert.deepEqual(parseTimemap(TIMEMAP), [
+      {
+        url: 'http://archive.md/20200602100000/https://example.com/',
+        date: new Date('2020-06-02T10:00:00Z'),
+      },
+      {
+        url: 'http://archive.md/20201015083000/https://example.com/',
+        date: new Date('2020-10-15T08:30:00Z'),
+      },
+      {
+        url: 'http://archive.md/20210301120000/https://example.com/',
+        date: new Date('2021-03-01T12:00:00Z'),
+      },
+    ]);
+  });
+
+  it('parses empty timemaps', () => {
+    assert.deepEqual(parseTimemap(''), []);
+  });
+});
+
+describe('parseWaybackTimestamp', () => {
+  it('parses full timestamps as UTC', () => {
+    assert.deepEqual(
+      parseWaybackTimestamp('20200102030405'),
+      new Date('2020-01-02T03:04:05Z')
+    );
+  });
+
+  it('parses short timestamps as the start of the period', () => {
+    assert.deepEqual(parseWaybackTimestamp('2020'), new Date('2020-01-01T00:00:00Z'));
+    assert.deepEqual(parseWaybackTimestamp('202006'), new Date('2020-06-01T00:00:00Z'));
+    assert.deepEqual(
+      parseWaybackTimestamp('2020061512'),
+      new Date('2020-06-15T12:00:00Z')
+    );
+  });
+});
+
+describe('findClosestSnapshot', () => {
+  const snapshots = parseCdx(CDX);
+
+  it('finds the snapshot closest to the date', () => {
+    assert.equal(findClosestSnapshot(snapshots, new Date('2019-01-01')), snapshots[0]);
+    assert.equal(findClosestSnapshot(snapshots, new Date('2022-01-01')), snapshots[2]);
+  });
+
+  it('skips snapshots of error pages', () => {
+    assert.equal(findClosestSnapshot(snapshots, new Date('2020-06-01')), snapshots[0]);
+  });
+
+  it('finds nothing without snapshots', () => {
+    assert.equal(findClosestSnapshot([], new Date('2020-06-01')), undefined);
+    assert.equal(findClosestSnapshot([snapshots[1]], new Date('2020-06-01')), undefined);
+  });
+});
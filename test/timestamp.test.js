@@ -0,0 +1,52 @@
+import { strict as assert } from 'assert';
+import { readFileSync } from 'fs';
+import { verifyTimestampToken } from '../src/timestamp.js';
+
+/**
+ * RFC 3161 token of timestamped.json, issued by a test TSA with openssl ts. tsa.crt is the
+ * TSA's certificate and other-tsa.crt another one.
+ * @param {string} name
+ */
+function fixture(name) {
+  return readFileSync(new URL(`fixtures/${name}`, import.meta.url));
+}
+
+const token = fixture('timestamp.tsr');
+const data = fixture('timestamped.json');
+
+describe('timestamp', () => {
+  it('verifies a token with the certificate it includes', () => {
+    const { time, tsa } = verifyTimestampToken(token, data);
+    assert.equal(time.toISOString(), '2026-10-19T04:27:15.000Z');
+    assert.equal(tsa, 'archhive test tsa');
+  });
+
+  it('verifies a token with a pinned TSA certificate', () => {
+    const { tsa } = verifyTimestampToken(token, data, {
+      certificate: fixture('tsa.crt'),
+    });
+    assert.equal(tsa, 'archhive test tsa');
+  });
+
+  it('rejects tokens of other TSAs', () => {
+    assert.throws(
+      () => verifyTimestampToken(token, data, { certificate: fixture('other-tsa.crt') }),
+      /not signed by the TSA certificate/
+    );
+  });
+
+  it('rejects tokens of other data', () => {
+    assert.throws(
+      () => verifyTimestampToken(token, Buffer.from('modified')),
+      /issued for other data/
+    );
+  });
+
+  it('rejects altered tokens', () => {
+    const altered = Buffer.from(token);
+    // A digit of the time in the signed TSTInfo
+    const index = altered.indexOf('20261019');
+    altered[index + 3] = '7'.charCodeAt(0);
+    assert.throws(() => verifyTimestampToken(altered, data), /altered/);
+  });
+});
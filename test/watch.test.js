@@ -0,0 +1,224 @@
+import { strict as assert } from 'assert';
+import { execFile } from 'child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  fingerprintPage,
+  notifyChange,
+  readWatchState,
+  WATCH_STATE_FILENAME,
+  writeWatchState,
+} from '../src/watch.js';
+
+/**
+ * A browser whose pages have the given text and status, recording the calls to its pages
+ * @param {string} text
+ * @param {number} [status]
+ */
+function fakeBrowser(text, status = 200) {
+  /** @type {string[]} */
+  const calls = [];
+  const newPage = async () => ({
+    setRequestInterception: async () => calls.push('intercept requests'),
+    on: () => {},
+    goto: async (/** @type {string} */ url) => {
+      calls.push(`goto ${url}`);
+      return { status: () => status };
+    },
+    evaluate: async () => {
+      calls.push('evaluate');
+      return text;
+    },
+    $$eval: async (/** @type {string} */ selector) => {
+      calls.push(`remove ${selector}`);
+      return 1;
+    },
+    close: async () => calls.push('close page'),
+  });
+  return {
+    calls,
+    newPage,
+    createIncognitoBrowserContext: async () => ({
+      newPage,
+      close: async () => calls.push('close context'),
+    }),
+  };
+}
+
+/**
+ * @param {any} browser
+ * @param {Record<string, any>} [opts]
+ * @param {any} [siteProfile]
+ */
+function fingerprint(browser, opts = {}, siteProfile = undefined) {
+  /** @type {any} */
+  const ctx = { opts: { url: 'https://example.com/', ...opts }, browser, siteProfile };
+  /** @type {any} */
+  const task = {};
+  return fingerprintPage(ctx, task);
+}
+
+describe('watch state', () => {
+  /** @type {string} */
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'archhive-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('is empty before the first check', async () => {
+    assert.deepEqual(await readWatchState(join(dir, 'missing')), {});
+  });
+
+  it('is written and read back', async () => {
+    const state = {
+      'https://example.com/': {
+        status: 200,
+        hash: 'abc',
+        checkedAt: '2021-02-03T04:05:06.000Z',
+        changedAt: '2021-02-01T00:00:00.000Z',
+        entryId: '1',
+      },
+    };
+    await writeWatchState(dir, state);
+    assert.deepEqual(await readWatchState(dir), state);
+  });
+
+  it('rejects invalid files', async () => {
+    await writeFile(join(dir, WATCH_STATE_FILENAME), '{');
+    await assert.rejects(readWatchState(dir), SyntaxError);
+  });
+});
+
+describe('fingerprintPage', () => {
+  it('ignores changes of whitespace', async () => {
+    const { hash } = await fingerprint(fakeBrowser('Title\n\nText'));
+    const reflowed = await fingerprint(fakeBrowser(' Title Text \n'));
+    assert.equal(reflowed.hash, hash);
+  });
+
+  it('detects changes of the text', async () => {
+    const { hash } = await fingerprint(fakeBrowser('Title\n\nText'));
+    const changed = await fingerprint(fakeBrowser('Title\n\nTexts'));
+    assert.notEqual(changed.hash, hash);
+  });
+
+  it('returns the HTTP status', async () => {
+    const { status } = await fingerprint(fakeBrowser('Not found', 404));
+    assert.equal(status, 404);
+  });
+
+  it('loads the page like for a capture', async () => {
+    const browser = fakeBrowser('Text');
+    await fingerprint(
+      browser,
+      { header: ['Authorization: Bearer token'], consent: 'hide' },
+      { hosts: [], filters: '', actions: [{ remove: '.paywall' }] }
+    );
+    assert.deepEqual(browser.calls, [
+      'intercept requests',
+      'goto https://example.com/',
+      // Hiding the consent banners
+      'evaluate',
+      'remove .paywall',
+      'evaluate',
+      'close page',
+      'close context',
+    ]);
+  });
+});
+
+describe('notifyChange', () => {
+  /** @type {string} */
+  let dir;
+  /** @type {import('../src/types').WatchEvent} */
+  const event = {
+    event: 'changed',
+    url: 'https://example.com/',
+    status: 200,
+    timestamp: '2021-02-03T04:05:06.000Z',
+  };
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'archhive-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('posts the event to the webhook', async () => {
+    /** @type {any[]} */
+    const requests = [];
+    const server = createServer((request, response) => {
+      let body = '';
+      request.on('data', (chunk) => (body += chunk));
+      request.on('end', () => {
+        requests.push({
+          method: request.method,
+          type: request.headers['content-type'],
+          body,
+        });
+        response.end();
+      });
+    });
+    await new Promise((resolve) =>
+      server.listen(0, '127.0.0.1', () => resolve(undefined))
+    );
+    try {
+      const { port } = /** @type {import('net').AddressInfo} */ (server.address());
+      await notifyChange(event, { webhook: `http://127.0.0.1:${port}/hook` });
+    } finally {
+      server.close();
+    }
+    assert.deepEqual(requests, [
+      { method: 'POST', type: 'application/json', body: JSON.stringify(event) },
+    ]);
+  });
+
+  it('sends the event to the command', async () => {
+    const eventFile = join(dir, 'event.json');
+    const envFile = join(dir, 'env.txt');
+    await notifyChange(event, {
+      exec: `cat > "${eventFile}" && echo "$ARCHHIVE_EVENT $ARCHHIVE_URL" > "${envFile}"`,
+    });
+    assert.deepEqual(JSON.parse(await readFile(eventFile, 'utf8')), event);
+    assert.equal(await readFile(envFile, 'utf8'), 'changed https://example.com/\n');
+  });
+
+  it('writes the output of the command to standard error', async () => {
+    const script = `
+      import { notifyChange } from ${JSON.stringify(
+        new URL('../src/watch.js', import.meta.url)
+      )};
+      notifyChange(${JSON.stringify(event)}, { exec: 'echo done' });
+    `;
+    const output = await new Promise((resolve, reject) => {
+      execFile(
+        process.execPath,
+        ['--input-type=module', '-e', script],
+        (error, stdout, stderr) => (error ? reject(error) : resolve({ stdout, stderr }))
+      );
+    });
+    assert.deepEqual(output, { stdout: '', stderr: 'done\n' });
+  });
+
+  it('logs failures', async () => {
+    /** @type {string[]} */
+    const logs = [];
+    await notifyChange(event, {
+      webhook: 'http://127.0.0.1:1/hook',
+      exec: 'exit 3',
+      log: (text) => logs.push(text),
+    });
+    assert.equal(logs.length, 2);
+    assert.match(logs[0], /^Could not send changed event to http:\/\/127.0.0.1:1\/hook/);
+    assert.equal(logs[1], 'Command for changed event exited with code 3: exit 3');
+  });
+});
@@ -0,0 +1,54 @@
+import { strict as assert } from 'assert';
+import {
+  buildExif,
+  buildXmp,
+  formatExifDate,
+  parseXmp,
+  truncateUtf8,
+} from '../src/xmp.js';
+
+/** @type {import('../src/types').EmbeddedMetadata} */
+const METADATA = {
+  title: 'Fish & Chips <&> "quoted"',
+  description: 'Line 1\nLine 2',
+  source: 'https://example.com/?a=1&b=2',
+  keywords: ['one', 'two'],
+  date: new Date('2021-02-03T04:05:06Z'),
+  creatorTool: 'archhive 0.1.0',
+  archives: [{ name: 'archive.org', url: 'https://web.archive.org/web/2021/x' }],
+};
+
+describe('xmp', () => {
+  it('escapes and parses back XML special characters', () => {
+    const xmp = buildXmp(METADATA);
+    assert.doesNotMatch(xmp, /Fish & Chips/);
+    const parsed = parseXmp(xmp);
+    assert.equal(parsed.title, METADATA.title);
+    assert.equal(parsed.description, METADATA.description);
+    assert.equal(parsed.source, METADATA.source);
+    assert.deepEqual(parsed.keywords, METADATA.keywords);
+    assert.equal(parsed.date.getTime(), METADATA.date.getTime());
+  });
+
+  it('leaves out the description when it is moved to extended XMP', () => {
+    const parsed = parseXmp(buildXmp(METADATA, { omitDescription: true }));
+    assert.equal(parsed.description, undefined);
+    assert.equal(parsed.title, METADATA.title);
+  });
+
+  it('formats EXIF dates in UTC', () => {
+    assert.equal(formatExifDate(METADATA.date), '2021:02:03 04:05:06');
+  });
+
+  it('truncates the EXIF description to fit', () => {
+    const metadata = { ...METADATA, description: 'é'.repeat(50000) };
+    assert.ok(buildExif(metadata, 1000).length <= 1000);
+    assert.ok(buildExif(metadata).length > 100000);
+  });
+
+  it('does not cut multi-byte characters', () => {
+    assert.equal(truncateUtf8('aéb', 2).toString(), 'a');
+    assert.equal(truncateUtf8('aéb', 3).toString(), 'aé');
+    assert.equal(truncateUtf8('abc', 10).toString(), 'abc');
+  });
+});